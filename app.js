@@ -2,6 +2,14 @@
 // COOKING PLAN - SIMPLIFIED BACKEND (FINAL FIX)
 // ================================================
 
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+
 // -----------------------------
 // 1. DOMAIN CLASSES
 // -----------------------------
@@ -14,55 +22,647 @@ class Ingredient {
     }
 
     toString() {
-        return `${this.amount} ${this.unit} ${this.name}`.trim();
+        return [this.amount, this.unit, this.name]
+            .filter(part => part !== '' && part !== null && part !== undefined)
+            .join(' ');
     }
 }
 
+const RECIPE_EDITABLE_FIELDS = ['title', 'ingredients', 'steps', 'tags', 'dietaryFlags', 'servings', 'visibility'];
+
+// private: the author only; shared: also users it (or a cookbook of the
+// author's holding it) is shared with; public: everyone
+const VISIBILITIES = ['private', 'shared', 'public'];
+
 class Recipe {
-    constructor(id, title, ingredients = [], steps = [], tags = [], dietaryFlags = []) {
+    constructor(id, title, ingredients = [], steps = [], tags = [], dietaryFlags = [], servings = 1) {
         this.id = id;
         this.title = title;
         this.ingredients = ingredients;
-        this.steps = steps;
+        this.steps = RecipeStep.fromList(steps);
         this.tags = tags;
         this.dietaryFlags = dietaryFlags;
-        this.rating = 0;
-        this.ratings = [];
+        this.servings = servings;
+        this.authorId = null;
+        this.visibility = 'private';
+        this.sharedWith = [];   // user ids, for 'shared' visibility
+        this.revision = 1;      // number of the latest RecipeRevision
+        this.forkedFrom = null; // { recipeId, revision, authorId } for forks
+        this.rating = 0;     // average of ratings, kept for sorting
+        this.ratings = [];   // Rating, at most one per user
+    }
+
+    // Recipes from before authors were recorded belong to nobody: everyone
+    // may see and cook them, nobody may edit or delete them
+    canEdit(userId) {
+        return this.authorId !== null && this.authorId === userId;
+    }
+
+    // Visibility ignoring cookbooks (see CookingPlanApplication.canViewRecipe)
+    isVisibleTo(userId) {
+        if (this.visibility === 'public' || this.authorId === null) return true;
+        if (!userId) return false;
+        if (this.authorId === userId) return true;
+        return this.visibility === 'shared' && this.sharedWith.includes(userId);
+    }
+
+    // Hands-on minutes
+    getPrepMinutes() {
+        return this.steps.reduce((sum, step) => sum + step.activeMinutes, 0);
+    }
+
+    // Hands-off minutes (baking, simmering, marinating...)
+    getCookMinutes() {
+        return this.steps.reduce((sum, step) => sum + step.passiveMinutes, 0);
+    }
+
+    // Start to finish for one cook: the longest chain of dependent steps,
+    // or the total hands-on time if that is longer
+    getTotalMinutes() {
+        const finish = new Map();
+        this.steps.forEach(step => {
+            const start = Math.max(0, ...step.dependsOn.map(id => finish.get(id) || 0));
+            finish.set(step.id, start + step.getDuration());
+        });
+        return Math.max(this.getPrepMinutes(), ...finish.values(), 0);
+    }
+
+    // Ingredients for the given number of servings (defaults to the recipe's own)
+    scaleIngredients(servings = this.servings) {
+        const factor = servings / (this.servings || 1);
+        return this.ingredients.map(ing =>
+            new Ingredient(ing.name, Math.round(ing.amount * factor * 100) / 100, ing.unit)
+        );
     }
 
-    rate(rating) {
-        if (rating >= 1 && rating <= 5) {
+    // Adds the user's rating or replaces their earlier one. Returns the
+    // Rating, or null when value isn't a whole number from 1 to 5.
+    rate(userId, value, review = '') {
+        if (!Number.isInteger(value) || value < 1 || value > 5) return null;
+
+        const now = new Date().toISOString();
+        let rating = this.getRating(userId);
+        if (rating) {
+            rating.value = value;
+            rating.review = review;
+            rating.updatedAt = now;
+        } else {
+            rating = new Rating(userId, value, review, now, now);
             this.ratings.push(rating);
-            this.rating = this.ratings.reduce((a, b) => a + b, 0) / this.ratings.length;
-            return true;
         }
-        return false;
+        this.updateAverage();
+        return rating;
+    }
+
+    getRating(userId) {
+        return userId ? this.ratings.find(rating => rating.userId === userId) || null : null;
+    }
+
+    removeRating(userId) {
+        const index = this.ratings.findIndex(rating => userId && rating.userId === userId);
+        if (index === -1) return false;
+        this.ratings.splice(index, 1);
+        this.updateAverage();
+        return true;
+    }
+
+    // Ratings the author has hidden don't count
+    getVisibleRatings() {
+        return this.ratings.filter(rating => !rating.hidden);
+    }
+
+    updateAverage() {
+        const visible = this.getVisibleRatings();
+        this.rating = visible.length > 0
+            ? visible.reduce((sum, rating) => sum + rating.value, 0) / visible.length
+            : 0;
+    }
+
+    // { average, count, distribution: { 1: n, ..., 5: n } }
+    getRatingSummary() {
+        const visible = this.getVisibleRatings();
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        visible.forEach(rating => {
+            distribution[Math.round(rating.value)]++;
+        });
+        return { average: Math.round(this.rating * 100) / 100, count: visible.length, distribution };
+    }
+}
+
+// Words that mark a step as mostly waiting, and equipment a step ties up
+const PASSIVE_STEP_WORDS = ['bake', 'roast', 'simmer', 'marinate', 'rest', 'chill', 'refrigerate', 'rise', 'proof',
+    'soak', 'cool', 'boil', 'braise', 'steep', 'freeze', 'grill', 'slow'];
+
+const STEP_EQUIPMENT_WORDS = {
+    oven: ['bake', 'roast', 'oven', 'broil'],
+    grill: ['grill'],
+    pan: ['fry', 'saute', 'sauté', 'sear', 'pan', 'wok'],
+    blender: ['blend', 'blender', 'puree'],
+    'slow cooker': ['slow']
+};
+
+// Steps with no stated time count as this many hands-on minutes
+const DEFAULT_STEP_MINUTES = 5;
+
+// A recipe step. activeMinutes need the cook's hands; passiveMinutes follow
+// them and only need the equipment (an oven keeps baking while you chop).
+// dependsOn lists ids of steps that must finish first.
+class RecipeStep {
+    constructor(id, text, activeMinutes = DEFAULT_STEP_MINUTES, passiveMinutes = 0, dependsOn = [], equipment = []) {
+        this.id = id;
+        this.text = text;
+        this.activeMinutes = activeMinutes;
+        this.passiveMinutes = passiveMinutes;
+        this.dependsOn = dependsOn;
+        this.equipment = equipment;
+    }
+
+    getDuration() {
+        return this.activeMinutes + this.passiveMinutes;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    // Builds steps from strings or plain objects. Ids default to step-1,
+    // step-2...; a step without dependsOn follows the one before it. Strings
+    // get their timing and equipment read from the text ("Bake for 20 minutes").
+    static fromList(steps = []) {
+        return steps.map((value, index) => {
+            if (value instanceof RecipeStep) return value;
+
+            const previous = index > 0 ? [RecipeStep.defaultId(steps[index - 1], index - 1)] : [];
+            const data = typeof value === 'string' ? { text: value } : Object.assign({}, value);
+            const text = String(data.text || '').trim();
+            const guessed = RecipeStep.fromText(text);
+            return new RecipeStep(
+                RecipeStep.defaultId(value, index),
+                text,
+                data.activeMinutes !== undefined ? data.activeMinutes : guessed.activeMinutes,
+                data.passiveMinutes !== undefined ? data.passiveMinutes : guessed.passiveMinutes,
+                data.dependsOn !== undefined ? data.dependsOn : previous,
+                data.equipment !== undefined ? data.equipment : guessed.equipment
+            );
+        });
+    }
+
+    static defaultId(value, index) {
+        return (value && typeof value === 'object' && value.id) || `step-${index + 1}`;
+    }
+
+    // { activeMinutes, passiveMinutes, equipment } guessed from the wording.
+    // Times like "10 minutes", "1 hour 30 mins" or "20-25 min" (upper bound).
+    static fromText(text) {
+        let minutes = 0;
+        const pattern = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const amount = parseFloat(match[2] || match[1]);
+            minutes += /^h/i.test(match[3]) ? amount * 60 : amount;
+        }
+
+        const words = IngredientKnowledgeBase.tokenize(text);
+        const passive = words.some(word => PASSIVE_STEP_WORDS.includes(word));
+        const equipment = Object.keys(STEP_EQUIPMENT_WORDS)
+            .filter(name => STEP_EQUIPMENT_WORDS[name].some(word => words.includes(word)));
+
+        if (minutes === 0) return { activeMinutes: DEFAULT_STEP_MINUTES, passiveMinutes: 0, equipment };
+        return passive
+            ? { activeMinutes: 0, passiveMinutes: Math.round(minutes), equipment }
+            : { activeMinutes: Math.round(minutes), passiveMinutes: 0, equipment };
+    }
+
+    // Throws ValidationError for bad durations, duplicate ids, unknown
+    // dependencies or dependency cycles
+    static validateList(steps) {
+        const ids = new Set();
+        steps.forEach(step => {
+            if (!step.text) throw new ValidationError('Every step needs text');
+            if (ids.has(step.id)) throw new ValidationError(`Duplicate step id: ${step.id}`);
+            ids.add(step.id);
+            [step.activeMinutes, step.passiveMinutes].forEach(minutes => {
+                if (typeof minutes !== 'number' || !(minutes >= 0)) {
+                    throw new ValidationError(`Step durations must be zero or more minutes: ${step.id}`);
+                }
+            });
+            if (!Array.isArray(step.dependsOn) || !Array.isArray(step.equipment)) {
+                throw new ValidationError(`dependsOn and equipment must be lists: ${step.id}`);
+            }
+        });
+
+        const byId = new Map(steps.map(step => [step.id, step]));
+        const state = new Map();   // id -> 'visiting' | 'done'
+        const visit = step => {
+            if (state.get(step.id) === 'done') return;
+            if (state.get(step.id) === 'visiting') throw new ValidationError(`Step dependencies form a cycle at ${step.id}`);
+            state.set(step.id, 'visiting');
+            step.dependsOn.forEach(id => {
+                if (!byId.has(id)) throw new ValidationError(`Step ${step.id} depends on unknown step ${id}`);
+                visit(byId.get(id));
+            });
+            state.set(step.id, 'done');
+        };
+        steps.forEach(visit);
+    }
+}
+
+// Fields a revision records; visibility and sharing are settings, not content
+const RECIPE_REVISION_FIELDS = ['title', 'ingredients', 'steps', 'tags', 'dietaryFlags', 'servings'];
+
+// An immutable record of a recipe's content after a change. changes is the
+// field-level diff from the previous revision (null for the first one).
+class RecipeRevision {
+    constructor(id, recipeId, number, authorId, snapshot, changes = null, restoredFrom = null, createdAt = null) {
+        this.id = id;
+        this.recipeId = recipeId;
+        this.number = number;
+        this.authorId = authorId;
+        this.createdAt = createdAt || new Date().toISOString();
+        this.snapshot = snapshot;
+        this.changes = changes;
+        this.restoredFrom = restoredFrom;
+    }
+
+    // The recipe as it was at this revision
+    toRecipe(current = null) {
+        const recipe = new Recipe(
+            this.recipeId,
+            this.snapshot.title,
+            this.snapshot.ingredients.map(ing => new Ingredient(ing.name, ing.amount, ing.unit || '')),
+            this.snapshot.steps,
+            this.snapshot.tags.slice(),
+            this.snapshot.dietaryFlags.slice(),
+            this.snapshot.servings
+        );
+        recipe.revision = this.number;
+        if (current) {
+            recipe.authorId = current.authorId;
+            recipe.visibility = current.visibility;
+        }
+        return recipe;
+    }
+
+    // Plain, deep-copied content of a recipe
+    static snapshot(recipe) {
+        const snapshot = {};
+        RECIPE_REVISION_FIELDS.forEach(field => {
+            snapshot[field] = JSON.parse(JSON.stringify(recipe[field]));
+        });
+        return snapshot;
+    }
+
+    // { field: diff } for the fields that differ. Lists of names (tags,
+    // dietaryFlags) give { added, removed }; ingredients are matched by name
+    // and steps by id, giving { added, removed, changed: [{ name|id, from, to }] };
+    // other fields give { from, to }.
+    static diff(before, after) {
+        const changes = {};
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        ['title', 'servings'].forEach(field => {
+            if (before[field] !== after[field]) changes[field] = { from: before[field], to: after[field] };
+        });
+        ['tags', 'dietaryFlags'].forEach(field => {
+            const added = after[field].filter(value => !before[field].includes(value));
+            const removed = before[field].filter(value => !after[field].includes(value));
+            if (added.length > 0 || removed.length > 0) changes[field] = { added, removed };
+        });
+
+        const listDiff = (from, to, keyOf, keyName) => {
+            const fromByKey = new Map(from.map(item => [keyOf(item), item]));
+            const toByKey = new Map(to.map(item => [keyOf(item), item]));
+            const result = {
+                added: to.filter(item => !fromByKey.has(keyOf(item))),
+                removed: from.filter(item => !toByKey.has(keyOf(item))),
+                changed: to.filter(item => fromByKey.has(keyOf(item)) && !same(fromByKey.get(keyOf(item)), item))
+                    .map(item => ({ [keyName]: keyOf(item), from: fromByKey.get(keyOf(item)), to: item }))
+            };
+            const moved = !same(from.map(keyOf), to.map(keyOf));
+            return result.added.length > 0 || result.removed.length > 0 || result.changed.length > 0 || moved ? result : null;
+        };
+        const ingredients = listDiff(before.ingredients, after.ingredients,
+            ing => UnitConverter.normalizeIngredientName(ing.name), 'name');
+        if (ingredients) changes.ingredients = ingredients;
+        const steps = listDiff(before.steps, after.steps, step => step.id, 'id');
+        if (steps) changes.steps = steps;
+
+        return changes;
+    }
+
+    static freeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(RecipeRevision.freeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+}
+
+// One user's rating of a recipe. Ratings saved before ratings were per
+// user have no userId and can't be changed.
+class Rating {
+    constructor(userId, value, review = '', createdAt = null, updatedAt = null) {
+        this.userId = userId;
+        this.value = value;
+        this.review = review;
+        this.createdAt = createdAt || new Date().toISOString();
+        this.updatedAt = updatedAt || this.createdAt;
+        this.hidden = false;   // set by the recipe's author; rating again keeps it hidden
+    }
+}
+
+// What a recipe's author can do with someone's rating
+const RATING_MODERATION_ACTIONS = ['hide', 'show', 'remove'];
+
+// Meal slots in the order they happen, with the time used for calendar events
+const MEAL_SLOTS = {
+    breakfast: { start: '08:00', minutes: 30 },
+    lunch: { start: '12:30', minutes: 45 },
+    snack: { start: '15:30', minutes: 15 },
+    dinner: { start: '18:30', minutes: 60 }
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Plan dates are ISO 'YYYY-MM-DD' strings; arithmetic is done in UTC so
+// time zones and daylight saving never shift a day.
+class PlanCalendar {
+    static isISODate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    static toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Today's local calendar date
+    static today() {
+        const now = new Date();
+        return PlanCalendar.toISODate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    }
+
+    static addDays(isoDate, days) {
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return PlanCalendar.toISODate(date);
+    }
+
+    static daysBetween(fromDate, toDate) {
+        return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+    }
+
+    // Every date from start to end, inclusive
+    static datesBetween(startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date <= endDate; date = PlanCalendar.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    static weekday(isoDate) {
+        return WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+    }
+
+    // The Monday on or before the date
+    static startOfWeek(isoDate = PlanCalendar.today()) {
+        const offset = (new Date(`${isoDate}T00:00:00Z`).getUTCDay() + 6) % 7;
+        return PlanCalendar.addDays(isoDate, -offset);
+    }
+
+    // An ISO date, or a weekday name mapped onto the first week of the range
+    static resolveDay(day, startDate, endDate) {
+        let date = null;
+        if (PlanCalendar.isISODate(day)) {
+            date = day;
+        } else {
+            const weekdayIndex = WEEKDAYS.findIndex(name => name.toLowerCase() === (day || '').toString().trim().toLowerCase());
+            if (weekdayIndex === -1) throw new ValidationError(`Not a date or weekday: ${day}`);
+            const offset = (weekdayIndex - new Date(`${startDate}T00:00:00Z`).getUTCDay() + 7) % 7;
+            date = PlanCalendar.addDays(startDate, offset);
+        }
+
+        if (date < startDate || date > endDate) {
+            throw new ValidationError(`${day} is outside the meal plan (${startDate} to ${endDate})`);
+        }
+        return date;
     }
 }
 
 class PlanEntry {
-    constructor(day, recipeId) {
+    // day is an ISO date or a weekday name; the meal plan resolves it to
+    // `date` when the entry is added. servings overrides the recipe's own
+    // servings count; null cooks one batch.
+    constructor(day, recipeId, servings = null, slot = 'dinner') {
+        this.id = null;
+        this.date = null;
         this.day = day;
+        this.slot = slot;
         this.recipeId = recipeId;
+        this.servings = servings;
+        this.addedBy = null;
+        this.recipeRevision = null;  // pinned revision number; null follows the latest
     }
 }
 
+const MEAL_PLAN_ROLES = ['viewer', 'editor', 'owner'];
+
 class MealPlan {
-    constructor(id, userId, name, entries = []) {
+    // Without dates the plan covers the current Monday-to-Sunday week
+    constructor(id, userId, name, entries = [], startDate = null, endDate = null) {
         this.id = id;
         this.userId = userId;
         this.name = name;
+        this.startDate = startDate || PlanCalendar.startOfWeek();
+        this.endDate = endDate || PlanCalendar.addDays(this.startDate, 6);
         this.entries = entries;
-        this.sharedWith = [];
+        this.sharedWith = [];   // [{ userId, role: 'viewer' | 'editor', grantedAt }]
+        this.history = [];      // [{ userId, action, details, at }]
     }
 
     addEntry(entry) {
+        if (!entry.id) {
+            entry.id = `entry-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.placeEntry(entry, entry.date || entry.day);
         this.entries.push(entry);
     }
 
+    // For stored entries: one whose day no longer resolves (a free-form or
+    // out-of-range day from older data) is kept undated (date null) instead
+    // of refused, so the rest of the plan still loads
+    restoreEntry(entry) {
+        try {
+            this.addEntry(entry);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+            entry.date = null;
+            this.entries.push(entry);
+        }
+    }
+
+    // Sets the entry's date (and weekday name) from an ISO date or weekday
+    placeEntry(entry, day) {
+        if (!MEAL_SLOTS[entry.slot]) throw new ValidationError(`Unknown meal slot: ${entry.slot}`);
+        entry.date = PlanCalendar.resolveDay(day, this.startDate, this.endDate);
+        entry.day = PlanCalendar.weekday(entry.date);
+    }
+
+    // Entries in calendar order: by date, then breakfast to dinner
+    getSortedEntries() {
+        const slotOrder = Object.keys(MEAL_SLOTS);
+        // Undated entries (see restoreEntry) go last
+        return this.entries.slice().sort((a, b) =>
+            (a.date === null) - (b.date === null) || (a.date || '').localeCompare(b.date || '') ||
+            slotOrder.indexOf(a.slot) - slotOrder.indexOf(b.slot)
+        );
+    }
+
+    getDates() {
+        return PlanCalendar.datesBetween(this.startDate, this.endDate);
+    }
+
+    getEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId);
+    }
+
+    removeEntry(entryId) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== entryId);
+        return this.entries.length < before;
+    }
+
+    // Drops every entry that uses the recipe; returns how many were removed
+    removeRecipe(recipeId) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.recipeId !== recipeId);
+        return before - this.entries.length;
+    }
+
     getRecipeIds() {
         return this.entries.map(entry => entry.recipeId).filter(id => id);
     }
+
+    // 'owner', 'editor', 'viewer', or null when the user has no access
+    getRole(userId) {
+        if (userId === this.userId) return 'owner';
+        const share = this.sharedWith.find(item => item.userId === userId);
+        return share ? share.role : null;
+    }
+
+    hasAccess(userId, role = 'viewer') {
+        const userRole = this.getRole(userId);
+        return userRole !== null && MEAL_PLAN_ROLES.indexOf(userRole) >= MEAL_PLAN_ROLES.indexOf(role);
+    }
+
+    grantAccess(userId, role) {
+        this.revokeAccess(userId);
+        this.sharedWith.push({ userId, role, grantedAt: new Date().toISOString() });
+    }
+
+    revokeAccess(userId) {
+        const before = this.sharedWith.length;
+        this.sharedWith = this.sharedWith.filter(item => item.userId !== userId);
+        return this.sharedWith.length < before;
+    }
+
+    recordChange(userId, action, details = {}) {
+        this.history.push({ userId, action, details, at: new Date().toISOString() });
+    }
+
+    // Shallow copy marked with how `userId` sees the plan (owned or shared)
+    forViewer(userId) {
+        const role = this.getRole(userId);
+        return Object.assign(Object.create(MealPlan.prototype), this, { shared: role !== 'owner', role });
+    }
+}
+
+const PANTRY_ITEM_FIELDS = ['name', 'amount', 'unit', 'expiresAt'];
+
+class PantryItem {
+    constructor(id, userId, name, amount, unit = '', expiresAt = null) {
+        this.id = id;
+        this.userId = userId;
+        this.name = name;
+        this.amount = amount;
+        this.unit = unit;
+        this.expiresAt = expiresAt;
+    }
+
+    isExpired(asOf = new Date()) {
+        return this.expiresAt !== null && new Date(this.expiresAt) < asOf;
+    }
+
+    toIngredient() {
+        return new Ingredient(this.name, this.amount, this.unit);
+    }
+}
+
+// A named collection of recipes. Visibility works like a recipe's: a
+// shared cookbook is seen by the users in sharedWith, a public one by
+// everyone. Viewers only see the recipes in it they may see anyway, except
+// that a cookbook also reveals the owner's own 'shared' recipes in it.
+class Cookbook {
+    constructor(id, userId, name, description = '', recipeIds = []) {
+        this.id = id;
+        this.userId = userId;
+        this.name = name;
+        this.description = description;
+        this.recipeIds = recipeIds;
+        this.visibility = 'private';
+        this.sharedWith = [];   // user ids
+        this.createdAt = new Date().toISOString();
+    }
+
+    isVisibleTo(userId) {
+        if (this.visibility === 'public') return true;
+        if (!userId) return false;
+        return this.userId === userId || (this.visibility === 'shared' && this.sharedWith.includes(userId));
+    }
+
+    addRecipe(recipeId) {
+        if (this.recipeIds.includes(recipeId)) return false;
+        this.recipeIds.push(recipeId);
+        return true;
+    }
+
+    removeRecipe(recipeId) {
+        const before = this.recipeIds.length;
+        this.recipeIds = this.recipeIds.filter(id => id !== recipeId);
+        return this.recipeIds.length !== before;
+    }
+}
+
+// A saved shopping list; items keep their checked state between sessions
+class ShoppingList {
+    constructor(id, userId, mealPlanId, name, items = []) {
+        this.id = id;
+        this.userId = userId;
+        this.mealPlanId = mealPlanId;
+        this.name = name;
+        this.items = items;     // [{ id, name, amount, unit, section, checked }]
+        this.createdAt = new Date().toISOString();
+    }
+
+    getItem(itemId) {
+        return this.items.find(item => item.id === itemId);
+    }
+
+    // [{ section, items }] in store order
+    getSections(sectionOrder = STORE_SECTION_ORDER) {
+        const sections = new Map();
+        this.items.forEach(item => {
+            if (!sections.has(item.section)) sections.set(item.section, []);
+            sections.get(item.section).push(item);
+        });
+        const rank = section => sectionOrder.indexOf(section) === -1 ? sectionOrder.length : sectionOrder.indexOf(section);
+        return Array.from(sections.entries())
+            .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+            .map(([section, items]) => ({ section, items }));
+    }
 }
 
 class User {
@@ -70,6 +670,233 @@ class User {
         this.id = id;
         this.name = name;
         this.email = email;
+        this.passwordSalt = null;
+        this.passwordHash = null;
+        this.nutritionTargets = {};   // { calories: { min, max }, ... } per day
+    }
+
+    // Salted scrypt hash; the plain password is never stored
+    setPassword(password) {
+        this.passwordSalt = crypto.randomBytes(16).toString('hex');
+        this.passwordHash = User.hashPassword(password, this.passwordSalt);
+    }
+
+    checkPassword(password) {
+        if (!this.passwordHash || typeof password !== 'string') return false;
+        const expected = Buffer.from(this.passwordHash, 'hex');
+        const actual = Buffer.from(User.hashPassword(password, this.passwordSalt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    static hashPassword(password, salt) {
+        return crypto.scryptSync(password, salt, 64).toString('hex');
+    }
+}
+
+// Stored under the SHA-256 of its bearer token, so the data file alone
+// does not let anyone act as a signed-in user
+class Session {
+    constructor(tokenHash, userId, expiresAt) {
+        this.tokenHash = tokenHash;
+        this.userId = userId;
+        this.expiresAt = expiresAt;
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    isExpired(asOf = new Date()) {
+        return new Date(this.expiresAt) <= asOf;
+    }
+}
+
+// Every DomainEvent type the application publishes
+const DOMAIN_EVENT_TYPES = [
+    'RecipeCreated', 'RecipeUpdated', 'RecipeDeleted', 'RecipeRated', 'RecipeRatingRemoved', 'RecipeRatingHidden',
+    'RecipeRatingShown', 'RecipeForked', 'RecipeShared',
+    'MealPlanCreated', 'MealPlanDeleted', 'MealPlanShared', 'MealPlanUnshared',
+    'EntryAdded', 'EntryUpdated', 'EntryRemoved',
+    'ShoppingListGenerated', 'CookbookShared'
+];
+
+// Something that happened, published after the change is saved. data holds
+// ids and names, never whole objects, so an event can be sent as it is.
+class DomainEvent {
+    constructor(type, actorId, data = {}) {
+        this.id = `event-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.type = type;
+        this.actorId = actorId;
+        this.data = data;
+        this.occurredAt = new Date().toISOString();
+    }
+}
+
+// One inbox item. eventId/eventType say what caused it; data is the event's.
+class Notification {
+    constructor(id, userId, eventId, eventType, message, data = {}) {
+        this.id = id;
+        this.userId = userId;
+        this.eventId = eventId;
+        this.eventType = eventType;
+        this.message = message;
+        this.data = data;
+        this.createdAt = new Date().toISOString();
+        this.readAt = null;
+    }
+
+    isRead() {
+        return this.readAt !== null;
+    }
+}
+
+// A URL that receives events as JSON POSTs. A user's webhook gets the events
+// that user caused or is notified about; one without userId (configured for
+// the whole application) gets every event. eventTypes ['*'] means all types.
+class Webhook {
+    constructor(id, userId, url, eventTypes = ['*'], secret = null) {
+        this.id = id;
+        this.userId = userId;
+        this.url = url;
+        this.eventTypes = eventTypes;
+        this.secret = secret;
+        this.createdAt = new Date().toISOString();
+    }
+
+    accepts(eventType) {
+        return this.eventTypes.includes('*') || this.eventTypes.includes(eventType);
+    }
+}
+
+// One event waiting to be (or already) delivered to one webhook.
+// status: 'pending' until a 2xx answer ('delivered') or the last retry ('failed')
+class OutboxMessage {
+    constructor(id, webhookId, event) {
+        this.id = id;
+        this.webhookId = webhookId;
+        this.event = event;
+        this.status = 'pending';
+        this.attempts = 0;
+        this.nextAttemptAt = new Date().toISOString();
+        this.lastError = null;
+        this.deliveredAt = null;
+        this.createdAt = new Date().toISOString();
+    }
+}
+
+// Errors
+class AuthenticationError extends Error {
+    constructor(message = 'Must be logged in') {
+        super(message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+class ForbiddenError extends Error {
+    constructor(message = 'Not allowed') {
+        super(message);
+        this.name = 'ForbiddenError';
+    }
+}
+
+class NotFoundError extends Error {
+    constructor(message = 'Not found') {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+// iCalendar (RFC 5545) export of a meal plan, one VEVENT per entry. Times
+// are floating local times so a 18:30 dinner stays 18:30 in any time zone.
+class ICalendarExporter {
+    static export(mealPlan, recipeRepo, now = new Date()) {
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SWEN383 Group17//Cooking Plan//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${ICalendarExporter.escapeText(mealPlan.name)}`
+        ];
+
+        mealPlan.getSortedEntries().forEach(entry => {
+            const recipe = recipeRepo.getEntryRecipe(entry);
+            if (!recipe || !entry.date || !MEAL_SLOTS[entry.slot]) return;
+
+            const slot = MEAL_SLOTS[entry.slot];
+            const [hours, minutes] = slot.start.split(':').map(Number);
+            const start = new Date(`${entry.date}T00:00:00Z`);
+            start.setUTCHours(hours, minutes);
+            const end = new Date(start.getTime() + slot.minutes * 60000);
+            const slotName = entry.slot.charAt(0).toUpperCase() + entry.slot.slice(1);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${entry.id}@cooking-plan`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${ICalendarExporter.formatLocal(start)}`,
+                `DTEND:${ICalendarExporter.formatLocal(end)}`,
+                `SUMMARY:${ICalendarExporter.escapeText(`${slotName}: ${recipe.title}`)}`,
+                `DESCRIPTION:${ICalendarExporter.escapeText(ICalendarExporter.describe(recipe, entry))}`,
+                `CATEGORIES:${entry.slot}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(ICalendarExporter.foldLine).join('\r\n') + '\r\n';
+    }
+
+    static describe(recipe, entry) {
+        const ingredients = recipe.scaleIngredients(entry.servings || recipe.servings)
+            .map(ing => `- ${ing.toString()}`);
+        const steps = (recipe.steps || []).map((step, index) => `${index + 1}. ${step}`);
+        return ['Ingredients:', ...ingredients, '', 'Steps:', ...steps].join('\n');
+    }
+
+    static formatLocal(date) {
+        return date.toISOString().slice(0, 19).replace(/[-:]/g, '');
+    }
+
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space,
+    // without splitting a multi-byte character.
+    static foldLine(line) {
+        const parts = [];
+        let current = '';
+        let limit = 75;
+        for (const char of line) {
+            if (Buffer.byteLength(current + char, 'utf8') > limit) {
+                parts.push(current);
+                current = '';
+                limit = 74;
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
     }
 }
 
@@ -77,385 +904,5515 @@ class User {
 // 2. FACTORY PATTERN: Repository Factory
 // -----------------------------
 
-class RepositoryFactory {
-    static createRepository(type) {
-        switch(type) {
-            case 'memory':
-                return new MemoryRepository();
-            default:
-                throw new Error(`Unknown repository type: ${type}`);
-        }
-    }
-}
+class RepositoryFactory {
+    static createRepository(type, options = {}) {
+        switch(type) {
+            case 'memory':
+                return new MemoryRepository();
+            case 'file':
+                return new FileRepository(options.filePath);
+            default:
+                throw new Error(`Unknown repository type: ${type}`);
+        }
+    }
+}
+
+// Inverted index over recipe text, kept up to date by the repository's
+// saveRecipe/deleteRecipe. Tokens are lowercased and singularized the same
+// way ingredient names are, so "eggs" finds "Egg".
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    dietaryFlags: 2,
+    ingredients: 1.5,
+    steps: 0.5
+};
+
+const SEARCH_SORTS = ['relevance', 'rating', 'title', 'fewestIngredients'];
+
+class RecipeSearchIndex {
+    constructor() {
+        this.recipes = new Map();       // recipeId -> Recipe
+        this.postings = new Map();      // token -> Map(recipeId -> weight)
+        this.ingredientTokens = new Map(); // recipeId -> [[token, ...] per ingredient]
+        this.recipeTokens = new Map();  // recipeId -> Set(token), for removal
+    }
+
+    add(recipe) {
+        this.remove(recipe.id);
+        this.recipes.set(recipe.id, recipe);
+
+        const fields = {
+            title: [recipe.title],
+            tags: recipe.tags || [],
+            dietaryFlags: recipe.dietaryFlags || [],
+            ingredients: (recipe.ingredients || []).map(ing => ing.name),
+            steps: recipe.steps || []
+        };
+        const tokens = new Set();
+        Object.entries(fields).forEach(([field, values]) => {
+            values.forEach(value => {
+                IngredientKnowledgeBase.tokenize(value).forEach(token => {
+                    tokens.add(token);
+                    if (!this.postings.has(token)) this.postings.set(token, new Map());
+                    const posting = this.postings.get(token);
+                    posting.set(recipe.id, (posting.get(recipe.id) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+                });
+            });
+        });
+
+        this.ingredientTokens.set(recipe.id, fields.ingredients.map(name => IngredientKnowledgeBase.tokenize(name)));
+        this.recipeTokens.set(recipe.id, tokens);
+    }
+
+    remove(recipeId) {
+        if (!this.recipes.has(recipeId)) return;
+        this.recipeTokens.get(recipeId).forEach(token => {
+            const posting = this.postings.get(token);
+            posting.delete(recipeId);
+            if (posting.size === 0) this.postings.delete(token);
+        });
+        this.recipeTokens.delete(recipeId);
+        this.ingredientTokens.delete(recipeId);
+        this.recipes.delete(recipeId);
+    }
+
+    // Does one of the recipe's ingredients contain every word of `name`?
+    hasIngredient(recipeId, name) {
+        const wanted = IngredientKnowledgeBase.tokenize(name);
+        return (this.ingredientTokens.get(recipeId) || []).some(tokens =>
+            wanted.every(token => tokens.includes(token))
+        );
+    }
+
+    // Relevance per recipe: field weights times inverse document frequency,
+    // scaled by the share of query terms matched. The last term also
+    // matches as a prefix ("broc" finds broccoli) at half weight.
+    scoreQuery(query) {
+        const terms = IngredientKnowledgeBase.tokenize(query);
+        const scores = new Map();
+        const matchedTerms = new Map();
+        const total = this.recipes.size;
+
+        terms.forEach((term, index) => {
+            const postings = [];
+            if (this.postings.has(term)) postings.push({ posting: this.postings.get(term), boost: 1 });
+            if (index === terms.length - 1 && term.length >= 3) {
+                this.postings.forEach((posting, token) => {
+                    if (token !== term && token.startsWith(term)) postings.push({ posting, boost: 0.5 });
+                });
+            }
+
+            const matchedHere = new Set();
+            postings.forEach(({ posting, boost }) => {
+                const idf = Math.log(1 + total / posting.size);
+                posting.forEach((weight, recipeId) => {
+                    scores.set(recipeId, (scores.get(recipeId) || 0) + weight * idf * boost);
+                    matchedHere.add(recipeId);
+                });
+            });
+            matchedHere.forEach(recipeId => matchedTerms.set(recipeId, (matchedTerms.get(recipeId) || 0) + 1));
+        });
+
+        scores.forEach((score, recipeId) => {
+            scores.set(recipeId, score * matchedTerms.get(recipeId) / terms.length);
+        });
+        return scores;
+    }
+
+    // criteria: { query, includeIngredients, excludeIngredients, tags,
+    // dietaryFlags, minRating, sort, page, pageSize, filter } where filter
+    // is an optional recipe => boolean applied before paging.
+    // Returns { results: [{ recipe, score }], total, page, pageSize, totalPages }
+    search(criteria = {}) {
+        const sort = criteria.sort || (criteria.query ? 'relevance' : 'rating');
+        if (!SEARCH_SORTS.includes(sort)) throw new ValidationError(`Unknown sort: ${sort}`);
+        const page = Math.max(1, parseInt(criteria.page, 10) || 1);
+        const pageSize = criteria.pageSize === Infinity ? Infinity : Math.max(1, parseInt(criteria.pageSize, 10) || 20);
+
+        const hasQuery = criteria.query && IngredientKnowledgeBase.tokenize(criteria.query).length > 0;
+        const scores = hasQuery ? this.scoreQuery(criteria.query) : null;
+        let recipeIds = hasQuery ? Array.from(scores.keys()) : Array.from(this.recipes.keys());
+
+        const lower = values => (values || []).map(value => value.toLowerCase());
+        const tags = lower(criteria.tags);
+        const flags = lower(criteria.dietaryFlags);
+
+        recipeIds = recipeIds.filter(recipeId => {
+            const recipe = this.recipes.get(recipeId);
+            return (criteria.includeIngredients || []).every(name => this.hasIngredient(recipeId, name)) &&
+                !(criteria.excludeIngredients || []).some(name => this.hasIngredient(recipeId, name)) &&
+                tags.every(tag => lower(recipe.tags).includes(tag)) &&
+                flags.every(flag => lower(recipe.dietaryFlags).includes(flag)) &&
+                (criteria.minRating === undefined || recipe.rating >= criteria.minRating) &&
+                (!criteria.filter || criteria.filter(recipe));
+        });
+
+        const results = recipeIds.map(recipeId => ({
+            recipe: this.recipes.get(recipeId),
+            score: scores ? Math.round(scores.get(recipeId) * 1000) / 1000 : 0
+        }));
+        const byTitle = (a, b) => a.recipe.title.localeCompare(b.recipe.title);
+        const comparators = {
+            relevance: (a, b) => b.score - a.score || b.recipe.rating - a.recipe.rating || byTitle(a, b),
+            rating: (a, b) => b.recipe.rating - a.recipe.rating || b.score - a.score || byTitle(a, b),
+            title: byTitle,
+            fewestIngredients: (a, b) => a.recipe.ingredients.length - b.recipe.ingredients.length || byTitle(a, b)
+        };
+        results.sort(comparators[sort]);
+
+        const start = pageSize === Infinity ? 0 : (page - 1) * pageSize;
+        return {
+            results: pageSize === Infinity ? results : results.slice(start, start + pageSize),
+            total: results.length,
+            page,
+            pageSize,
+            totalPages: pageSize === Infinity ? 1 : Math.max(1, Math.ceil(results.length / pageSize))
+        };
+    }
+}
+
+// Which cookbooks hold each recipe, kept up to date as cookbooks are saved
+// and deleted, so recipe visibility checks don't scan every cookbook
+class CookbookMembershipIndex {
+    constructor() {
+        this.cookbookIds = new Map();   // recipeId -> Set(cookbookId)
+        this.recipeIds = new Map();     // cookbookId -> [recipeId] as last indexed, for removal
+    }
+
+    add(cookbook) {
+        this.remove(cookbook.id);
+        const recipeIds = cookbook.recipeIds.slice();
+        this.recipeIds.set(cookbook.id, recipeIds);
+        recipeIds.forEach(recipeId => {
+            if (!this.cookbookIds.has(recipeId)) this.cookbookIds.set(recipeId, new Set());
+            this.cookbookIds.get(recipeId).add(cookbook.id);
+        });
+    }
+
+    remove(cookbookId) {
+        (this.recipeIds.get(cookbookId) || []).forEach(recipeId => {
+            const cookbookIds = this.cookbookIds.get(recipeId);
+            cookbookIds.delete(cookbookId);
+            if (cookbookIds.size === 0) this.cookbookIds.delete(recipeId);
+        });
+        this.recipeIds.delete(cookbookId);
+    }
+
+    cookbooksHolding(recipeId) {
+        return Array.from(this.cookbookIds.get(recipeId) || []);
+    }
+}
+
+class MemoryRepository {
+    constructor() {
+        this.recipes = new Map();
+        this.mealPlans = new Map();
+        this.users = new Map();
+        this.pantryItems = new Map();
+        this.sessions = new Map();
+        this.shoppingLists = new Map();
+        this.cookbooks = new Map();
+        this.recipeRevisions = new Map();   // recipeId -> [RecipeRevision] oldest first
+        this.notifications = new Map();
+        this.webhooks = new Map();
+        this.outboxMessages = new Map();
+        this.recipeIndex = new RecipeSearchIndex();
+        this.cookbookIndex = new CookbookMembershipIndex();
+    }
+
+    // Recipe methods
+    saveRecipe(recipe) {
+        if (!recipe.id) {
+            recipe.id = `recipe-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.recipes.set(recipe.id, recipe);
+        this.recipeIndex.add(recipe);
+        return recipe.id;
+    }
+
+    getRecipe(id) {
+        return this.recipes.get(id);
+    }
+
+    getAllRecipes() {
+        return Array.from(this.recipes.values());
+    }
+
+    deleteRecipe(id) {
+        this.recipeIndex.remove(id);
+        return this.recipes.delete(id);
+    }
+
+    searchRecipes(criteria) {
+        return this.recipeIndex.search(criteria);
+    }
+
+    // The recipe a plan entry cooks: its pinned revision, or the latest
+    getEntryRecipe(entry) {
+        const recipe = entry.recipeId ? this.getRecipe(entry.recipeId) : null;
+        if (!recipe || entry.recipeRevision === null || entry.recipeRevision === undefined ||
+            entry.recipeRevision === recipe.revision) {
+            return recipe || null;
+        }
+        const revision = this.getRecipeRevision(recipe.id, entry.recipeRevision);
+        return revision ? revision.toRecipe(recipe) : recipe;
+    }
+
+    // Recipe revision methods
+    saveRecipeRevision(revision) {
+        if (!revision.id) {
+            revision.id = `revision-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        RecipeRevision.freeze(revision);
+        if (!this.recipeRevisions.has(revision.recipeId)) this.recipeRevisions.set(revision.recipeId, []);
+        this.recipeRevisions.get(revision.recipeId).push(revision);
+        return revision.id;
+    }
+
+    getRecipeRevisions(recipeId) {
+        return (this.recipeRevisions.get(recipeId) || []).slice();
+    }
+
+    getRecipeRevision(recipeId, number) {
+        return (this.recipeRevisions.get(recipeId) || []).find(revision => revision.number === number) || null;
+    }
+
+    deleteRecipeRevisions(recipeId) {
+        return this.recipeRevisions.delete(recipeId);
+    }
+
+    // Meal Plan methods
+    saveMealPlan(mealPlan) {
+        if (!mealPlan.id) {
+            mealPlan.id = `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.mealPlans.set(mealPlan.id, mealPlan);
+        return mealPlan.id;
+    }
+
+    getMealPlan(id) {
+        return this.mealPlans.get(id);
+    }
+
+    getUserMealPlans(userId) {
+        return Array.from(this.mealPlans.values()).filter(plan => plan.userId === userId);
+    }
+
+    getAllMealPlans() {
+        return Array.from(this.mealPlans.values());
+    }
+
+    getSharedMealPlans(userId) {
+        return Array.from(this.mealPlans.values())
+            .filter(plan => plan.sharedWith.some(share => share.userId === userId));
+    }
+
+    deleteMealPlan(id) {
+        return this.mealPlans.delete(id);
+    }
+
+    // User methods
+    saveUser(user) {
+        if (!user.id) {
+            user.id = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.users.set(user.id, user);
+        return user.id;
+    }
+
+    getUser(id) {
+        return this.users.get(id);
+    }
+
+    getUserByEmail(email) {
+        return Array.from(this.users.values()).find(user => user.email === email);
+    }
+
+    deleteUser(id) {
+        return this.users.delete(id);
+    }
+
+    // Pantry methods
+    savePantryItem(item) {
+        if (!item.id) {
+            item.id = `pantry-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.pantryItems.set(item.id, item);
+        return item.id;
+    }
+
+    getPantryItem(id) {
+        return this.pantryItems.get(id);
+    }
+
+    getUserPantryItems(userId) {
+        return Array.from(this.pantryItems.values()).filter(item => item.userId === userId);
+    }
+
+    deletePantryItem(id) {
+        return this.pantryItems.delete(id);
+    }
+
+    // Shopping list methods
+    saveShoppingList(list) {
+        if (!list.id) {
+            list.id = `list-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.shoppingLists.set(list.id, list);
+        return list.id;
+    }
+
+    getShoppingList(id) {
+        return this.shoppingLists.get(id);
+    }
+
+    getUserShoppingLists(userId) {
+        return Array.from(this.shoppingLists.values()).filter(list => list.userId === userId);
+    }
+
+    deleteShoppingList(id) {
+        return this.shoppingLists.delete(id);
+    }
+
+    // Cookbook methods
+    saveCookbook(cookbook) {
+        if (!cookbook.id) {
+            cookbook.id = `cookbook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.cookbooks.set(cookbook.id, cookbook);
+        this.cookbookIndex.add(cookbook);
+        return cookbook.id;
+    }
+
+    getCookbook(id) {
+        return this.cookbooks.get(id);
+    }
+
+    getAllCookbooks() {
+        return Array.from(this.cookbooks.values());
+    }
+
+    getUserCookbooks(userId) {
+        return this.getAllCookbooks().filter(cookbook => cookbook.userId === userId);
+    }
+
+    // Cookbooks holding the recipe, as last saved
+    getCookbooksWithRecipe(recipeId) {
+        return this.cookbookIndex.cookbooksHolding(recipeId).map(id => this.cookbooks.get(id));
+    }
+
+    deleteCookbook(id) {
+        this.cookbookIndex.remove(id);
+        return this.cookbooks.delete(id);
+    }
+
+    // Notification methods
+    saveNotification(notification) {
+        if (!notification.id) {
+            notification.id = `notification-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.notifications.set(notification.id, notification);
+        return notification.id;
+    }
+
+    getNotification(id) {
+        return this.notifications.get(id);
+    }
+
+    // Newest first
+    getUserNotifications(userId) {
+        return Array.from(this.notifications.values())
+            .filter(notification => notification.userId === userId)
+            .reverse();
+    }
+
+    deleteNotification(id) {
+        return this.notifications.delete(id);
+    }
+
+    // Webhook methods
+    saveWebhook(webhook) {
+        if (!webhook.id) {
+            webhook.id = `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.webhooks.set(webhook.id, webhook);
+        return webhook.id;
+    }
+
+    getWebhook(id) {
+        return this.webhooks.get(id);
+    }
+
+    getAllWebhooks() {
+        return Array.from(this.webhooks.values());
+    }
+
+    deleteWebhook(id) {
+        return this.webhooks.delete(id);
+    }
+
+    // Outbox methods
+    saveOutboxMessage(message) {
+        if (!message.id) {
+            message.id = `outbox-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.outboxMessages.set(message.id, message);
+        return message.id;
+    }
+
+    getOutboxMessage(id) {
+        return this.outboxMessages.get(id);
+    }
+
+    // Oldest first; WebhookOutbox relies on it to keep each webhook's events in order
+    getOutboxMessages() {
+        return Array.from(this.outboxMessages.values());
+    }
+
+    deleteOutboxMessage(id) {
+        return this.outboxMessages.delete(id);
+    }
+
+    // Session methods
+    saveSession(session) {
+        this.sessions.set(session.tokenHash, session);
+        return session.tokenHash;
+    }
+
+    getSession(tokenHash) {
+        return this.sessions.get(tokenHash);
+    }
+
+    deleteSession(tokenHash) {
+        return this.sessions.delete(tokenHash);
+    }
+
+    // Runs fn (synchronously) as one unit of work and returns its result.
+    // Stores that write changes out do so once, at the end; there is no
+    // rollback, so a change made before fn throws stays made.
+    transaction(fn) {
+        return fn();
+    }
+}
+
+// File-backed repository: keeps the same Maps as MemoryRepository and
+// writes the whole store to a JSON file after every change, or once per
+// transaction.
+class FileRepository extends MemoryRepository {
+    constructor(filePath = 'cooking-plan-data.json') {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.transactionDepth = 0;   // nested transactions write when the outermost ends
+        this.unsaved = false;
+        this.load();
+    }
+
+    transaction(fn) {
+        this.transactionDepth += 1;
+        try {
+            return fn();
+        } finally {
+            this.transactionDepth -= 1;
+            if (this.transactionDepth === 0 && this.unsaved) this.persist();
+        }
+    }
+
+    // Recipe methods
+    saveRecipe(recipe) {
+        const id = super.saveRecipe(recipe);
+        this.persist();
+        return id;
+    }
+
+    deleteRecipe(id) {
+        const deleted = super.deleteRecipe(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Recipe revision methods
+    saveRecipeRevision(revision) {
+        const id = super.saveRecipeRevision(revision);
+        this.persist();
+        return id;
+    }
+
+    deleteRecipeRevisions(recipeId) {
+        const deleted = super.deleteRecipeRevisions(recipeId);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Meal Plan methods
+    saveMealPlan(mealPlan) {
+        const id = super.saveMealPlan(mealPlan);
+        this.persist();
+        return id;
+    }
+
+    deleteMealPlan(id) {
+        const deleted = super.deleteMealPlan(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // User methods
+    saveUser(user) {
+        const id = super.saveUser(user);
+        this.persist();
+        return id;
+    }
+
+    deleteUser(id) {
+        const deleted = super.deleteUser(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Pantry methods
+    savePantryItem(item) {
+        const id = super.savePantryItem(item);
+        this.persist();
+        return id;
+    }
+
+    deletePantryItem(id) {
+        const deleted = super.deletePantryItem(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Shopping list methods
+    saveShoppingList(list) {
+        const id = super.saveShoppingList(list);
+        this.persist();
+        return id;
+    }
+
+    deleteShoppingList(id) {
+        const deleted = super.deleteShoppingList(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Cookbook methods
+    saveCookbook(cookbook) {
+        const id = super.saveCookbook(cookbook);
+        this.persist();
+        return id;
+    }
+
+    deleteCookbook(id) {
+        const deleted = super.deleteCookbook(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Notification methods
+    saveNotification(notification) {
+        const id = super.saveNotification(notification);
+        this.persist();
+        return id;
+    }
+
+    deleteNotification(id) {
+        const deleted = super.deleteNotification(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Webhook methods
+    saveWebhook(webhook) {
+        const id = super.saveWebhook(webhook);
+        this.persist();
+        return id;
+    }
+
+    deleteWebhook(id) {
+        const deleted = super.deleteWebhook(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Outbox methods
+    saveOutboxMessage(message) {
+        const id = super.saveOutboxMessage(message);
+        this.persist();
+        return id;
+    }
+
+    deleteOutboxMessage(id) {
+        const deleted = super.deleteOutboxMessage(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Session methods
+    saveSession(session) {
+        const tokenHash = super.saveSession(session);
+        this.persist();
+        return tokenHash;
+    }
+
+    deleteSession(tokenHash) {
+        const deleted = super.deleteSession(tokenHash);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    // Storage
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.recipes || []).forEach(item => {
+            const recipe = FileRepository.reviveRecipe(item);
+            this.recipes.set(recipe.id, recipe);
+            this.recipeIndex.add(recipe);
+        });
+        (data.mealPlans || []).forEach(item => {
+            const mealPlan = FileRepository.reviveMealPlan(item);
+            this.mealPlans.set(mealPlan.id, mealPlan);
+        });
+        (data.users || []).forEach(item => {
+            const user = FileRepository.reviveUser(item);
+            this.users.set(user.id, user);
+        });
+        (data.pantryItems || []).forEach(item => {
+            const pantryItem = FileRepository.revivePantryItem(item);
+            this.pantryItems.set(pantryItem.id, pantryItem);
+        });
+        (data.shoppingLists || []).forEach(item => {
+            const list = FileRepository.reviveShoppingList(item);
+            this.shoppingLists.set(list.id, list);
+        });
+        (data.recipeRevisions || []).forEach(item => {
+            super.saveRecipeRevision(FileRepository.reviveRecipeRevision(item));
+        });
+        (data.cookbooks || []).forEach(item => {
+            const cookbook = FileRepository.reviveCookbook(item);
+            this.cookbooks.set(cookbook.id, cookbook);
+            this.cookbookIndex.add(cookbook);
+        });
+        (data.notifications || []).forEach(item => {
+            const notification = FileRepository.reviveNotification(item);
+            this.notifications.set(notification.id, notification);
+        });
+        (data.webhooks || []).forEach(item => {
+            const webhook = FileRepository.reviveWebhook(item);
+            this.webhooks.set(webhook.id, webhook);
+        });
+        (data.outboxMessages || []).forEach(item => {
+            const message = FileRepository.reviveOutboxMessage(item);
+            this.outboxMessages.set(message.id, message);
+        });
+        (data.sessions || []).forEach(item => {
+            const session = FileRepository.reviveSession(item);
+            this.sessions.set(session.tokenHash, session);
+        });
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            recipes: this.getAllRecipes(),
+            mealPlans: Array.from(this.mealPlans.values()),
+            users: Array.from(this.users.values()),
+            pantryItems: Array.from(this.pantryItems.values()),
+            shoppingLists: Array.from(this.shoppingLists.values()),
+            cookbooks: this.getAllCookbooks(),
+            recipeRevisions: Array.from(this.recipeRevisions.values()).flat(),
+            notifications: Array.from(this.notifications.values()),
+            webhooks: this.getAllWebhooks(),
+            outboxMessages: this.getOutboxMessages(),
+            sessions: Array.from(this.sessions.values())
+        };
+    }
+
+    // Write to a temp file in the same directory, flush it, then rename over
+    // the store so a crash leaves either the old or the new file, never half.
+    // Inside a transaction this only notes that there is something to write.
+    persist() {
+        if (this.transactionDepth > 0) {
+            this.unsaved = true;
+            return;
+        }
+        this.unsaved = false;
+        const json = JSON.stringify(this.toJSON(), null, 2);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, json);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    static reviveIngredient(data) {
+        return new Ingredient(data.name, data.amount, data.unit);
+    }
+
+    static reviveRecipe(data) {
+        const recipe = new Recipe(
+            data.id,
+            data.title,
+            (data.ingredients || []).map(FileRepository.reviveIngredient),
+            data.steps || [],
+            data.tags || [],
+            data.dietaryFlags || [],
+            data.servings || 1
+        );
+        recipe.authorId = data.authorId || null;
+        // Recipes saved before visibility existed were visible to everyone
+        recipe.visibility = data.visibility || 'public';
+        recipe.sharedWith = data.sharedWith || [];
+        recipe.revision = data.revision || 1;
+        recipe.forkedFrom = data.forkedFrom || null;
+        recipe.ratings = (data.ratings || []).map(FileRepository.reviveRating);
+        recipe.updateAverage();
+        return recipe;
+    }
+
+    // Older files stored ratings as bare numbers
+    static reviveRating(data) {
+        if (typeof data === 'number') return new Rating(null, data);
+        const rating = new Rating(data.userId || null, data.value, data.review || '', data.createdAt, data.updatedAt);
+        rating.hidden = Boolean(data.hidden);
+        return rating;
+    }
+
+    static revivePlanEntry(data) {
+        const entry = new PlanEntry(data.day, data.recipeId, data.servings != null ? data.servings : null, data.slot || 'dinner');
+        entry.id = data.id || null;
+        entry.date = data.date || null;
+        entry.addedBy = data.addedBy || null;
+        entry.recipeRevision = data.recipeRevision != null ? data.recipeRevision : null;
+        return entry;
+    }
+
+    static reviveMealPlan(data) {
+        const mealPlan = new MealPlan(data.id, data.userId, data.name, [], data.startDate, data.endDate);
+        // addEntry gives entries saved before they had ids one now
+        (data.entries || []).map(FileRepository.revivePlanEntry).forEach(entry => mealPlan.restoreEntry(entry));
+        mealPlan.sharedWith = data.sharedWith || [];
+        mealPlan.history = data.history || [];
+        return mealPlan;
+    }
+
+    static reviveUser(data) {
+        const user = new User(data.id, data.name, data.email);
+        user.passwordSalt = data.passwordSalt || null;
+        user.passwordHash = data.passwordHash || null;
+        user.nutritionTargets = data.nutritionTargets || {};
+        return user;
+    }
+
+    static reviveShoppingList(data) {
+        const list = new ShoppingList(data.id, data.userId, data.mealPlanId, data.name, data.items || []);
+        list.createdAt = data.createdAt || list.createdAt;
+        return list;
+    }
+
+    static reviveRecipeRevision(data) {
+        return new RecipeRevision(data.id, data.recipeId, data.number, data.authorId || null, data.snapshot,
+            data.changes || null, data.restoredFrom || null, data.createdAt);
+    }
+
+    static reviveCookbook(data) {
+        const cookbook = new Cookbook(data.id, data.userId, data.name, data.description || '', data.recipeIds || []);
+        cookbook.visibility = data.visibility || 'private';
+        cookbook.sharedWith = data.sharedWith || [];
+        cookbook.createdAt = data.createdAt || cookbook.createdAt;
+        return cookbook;
+    }
+
+    static reviveNotification(data) {
+        const notification = new Notification(data.id, data.userId, data.eventId, data.eventType, data.message, data.data || {});
+        notification.createdAt = data.createdAt || notification.createdAt;
+        notification.readAt = data.readAt || null;
+        return notification;
+    }
+
+    static reviveWebhook(data) {
+        const webhook = new Webhook(data.id, data.userId || null, data.url, data.eventTypes || ['*'], data.secret || null);
+        webhook.createdAt = data.createdAt || webhook.createdAt;
+        return webhook;
+    }
+
+    // Events stay plain objects: they are only ever sent on as JSON
+    static reviveOutboxMessage(data) {
+        const message = new OutboxMessage(data.id, data.webhookId, data.event);
+        ['status', 'attempts', 'nextAttemptAt', 'lastError', 'deliveredAt', 'createdAt'].forEach(field => {
+            if (data[field] !== undefined) message[field] = data[field];
+        });
+        return message;
+    }
+
+    // Files written before tokens were hashed hold the plain token
+    static reviveSession(data) {
+        return new Session(data.tokenHash || Session.hashToken(data.token), data.userId, data.expiresAt);
+    }
+
+    static revivePantryItem(data) {
+        return new PantryItem(data.id, data.userId, data.name, data.amount, data.unit, data.expiresAt || null);
+    }
+}
+
+// -----------------------------
+// 3. STRATEGY PATTERN: Shopping List Strategies
+// -----------------------------
+
+// Unit conversion: every strategy merges amounts through UnitConverter so
+// "200 g" and "0.5 kg" of the same ingredient end up on one line.
+
+const UNIT_DEFINITIONS = {
+    // Mass (base: grams)
+    mg: { dimension: 'mass', factor: 0.001, aliases: ['milligram', 'milligrams'] },
+    g: { dimension: 'mass', factor: 1, aliases: ['gram', 'grams', 'gr', 'gm'] },
+    kg: { dimension: 'mass', factor: 1000, aliases: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kgs'] },
+    oz: { dimension: 'mass', factor: 28.3495, aliases: ['ounce', 'ounces'] },
+    lb: { dimension: 'mass', factor: 453.592, aliases: ['lbs', 'pound', 'pounds'] },
+
+    // Volume (base: millilitres)
+    ml: { dimension: 'volume', factor: 1, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'mls'] },
+    l: { dimension: 'volume', factor: 1000, aliases: ['liter', 'liters', 'litre', 'litres', 'ltr'] },
+    tsp: { dimension: 'volume', factor: 4.92892159375, aliases: ['teaspoon', 'teaspoons', 'tsps'] },
+    tbsp: { dimension: 'volume', factor: 14.78676478125, aliases: ['tablespoon', 'tablespoons', 'tbsps', 'tbs', 'tbl'] },
+    'fl oz': { dimension: 'volume', factor: 29.5735295625, aliases: ['fluid ounce', 'fluid ounces', 'floz'] },
+    cup: { dimension: 'volume', factor: 236.5882365, aliases: ['cups', 'c'] },
+    pint: { dimension: 'volume', factor: 473.176473, aliases: ['pints', 'pt'] },
+    quart: { dimension: 'volume', factor: 946.352946, aliases: ['quarts', 'qt'] },
+    gallon: { dimension: 'volume', factor: 3785.411784, aliases: ['gallons', 'gal'] },
+
+    // Count (base: single items, written without a unit like the sample data)
+    '': { dimension: 'count', factor: 1, aliases: ['piece', 'pieces', 'pc', 'pcs', 'each', 'ea', 'whole', 'item', 'items'] },
+    dozen: { dimension: 'count', factor: 12, aliases: ['dozens', 'doz'] }
+};
+
+// Shopper-facing units per dimension, largest first. A total is shown in the
+// first unit it reaches `min` of, rounded up to `step` so nobody under-buys.
+const SHOPPING_UNITS = {
+    mass: [
+        { unit: 'kg', min: 1000, step: 0.05 },
+        { unit: 'g', min: 0, step: 1 }
+    ],
+    volume: [
+        { unit: 'l', min: 1000, step: 0.05 },
+        { unit: 'cup', min: 59.147059125, step: 0.25 },
+        { unit: 'tbsp', min: 14.78676478125, step: 0.5 },
+        { unit: 'tsp', min: 0, step: 0.25 }
+    ],
+    count: [
+        { unit: '', min: 0, step: 1 }
+    ]
+};
+
+class UnitConverter {
+    static getAliasTable() {
+        if (!UnitConverter.aliasTable) {
+            const table = new Map();
+            Object.entries(UNIT_DEFINITIONS).forEach(([unit, definition]) => {
+                table.set(unit, unit);
+                definition.aliases.forEach(alias => table.set(alias, unit));
+            });
+            UnitConverter.aliasTable = table;
+        }
+        return UnitConverter.aliasTable;
+    }
+
+    // "Tbsp", "tablespoons" and "tbsp." all become "tbsp". Units we don't know
+    // (cloves, pinch) are lowercased and singularized but kept as they are.
+    static normalizeUnit(unit) {
+        const cleaned = (unit || '').toString().trim().toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' ');
+        const table = UnitConverter.getAliasTable();
+        if (table.has(cleaned)) return table.get(cleaned);
+
+        const singular = UnitConverter.singularize(cleaned);
+        return table.has(singular) ? table.get(singular) : singular;
+    }
+
+    static isKnownUnit(unit) {
+        return Object.prototype.hasOwnProperty.call(UNIT_DEFINITIONS, UnitConverter.normalizeUnit(unit));
+    }
+
+    // Returns 'mass', 'volume', 'count', or null for units we can't convert.
+    static getDimension(unit) {
+        const definition = UNIT_DEFINITIONS[UnitConverter.normalizeUnit(unit)];
+        return definition ? definition.dimension : null;
+    }
+
+    static toBase(amount, unit) {
+        const definition = UNIT_DEFINITIONS[UnitConverter.normalizeUnit(unit)];
+        if (!definition) throw new Error(`Unknown unit: ${unit}`);
+        return amount * definition.factor;
+    }
+
+    static fromBase(amount, unit) {
+        const definition = UNIT_DEFINITIONS[UnitConverter.normalizeUnit(unit)];
+        if (!definition) throw new Error(`Unknown unit: ${unit}`);
+        return amount / definition.factor;
+    }
+
+    static convert(amount, fromUnit, toUnit) {
+        const fromDimension = UnitConverter.getDimension(fromUnit);
+        const toDimension = UnitConverter.getDimension(toUnit);
+        if (!fromDimension || fromDimension !== toDimension) {
+            throw new Error(`Cannot convert ${fromUnit || 'items'} to ${toUnit || 'items'}`);
+        }
+        const target = UNIT_DEFINITIONS[UnitConverter.normalizeUnit(toUnit)];
+        return UnitConverter.toBase(amount, fromUnit) / target.factor;
+    }
+
+    // Picks a readable unit for a base-unit total, e.g. 1450 g -> 1.45 kg.
+    static toShoppingUnit(baseAmount, dimension) {
+        const ladder = SHOPPING_UNITS[dimension];
+        if (!ladder) throw new Error(`Unknown dimension: ${dimension}`);
+
+        const choice = ladder.find(option => baseAmount >= option.min) || ladder[ladder.length - 1];
+        const amount = baseAmount / UNIT_DEFINITIONS[choice.unit].factor;
+        return { amount: UnitConverter.roundUp(amount, choice.step), unit: choice.unit };
+    }
+
+    static roundUp(amount, step) {
+        // The small epsilon keeps float noise (3.0000000001 tbsp) from adding a step
+        const rounded = Math.ceil(amount / step - 1e-6) * step;
+        return Math.round(rounded * 100) / 100;
+    }
+
+    static singularize(word) {
+        if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+        if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+        if (/(oes|ches|shes|xes|zes)$/.test(word)) return word.slice(0, -2);
+        if (/s$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    // "Eggs", " egg " and "EGG" all match. Only the last word is singularized
+    // so "Brussels Sprouts" -> "brussels sprout".
+    static normalizeIngredientName(name) {
+        const words = (name || '').toString().trim().toLowerCase().replace(/\s+/g, ' ').split(' ');
+        words[words.length - 1] = UnitConverter.singularize(words[words.length - 1]);
+        return words.join(' ');
+    }
+
+    // Key and base-unit amount used to compare or add up ingredients. Amounts
+    // in units we can't convert only match the same unit.
+    static toComparable(ing) {
+        const name = UnitConverter.normalizeIngredientName(ing.name);
+        const unit = UnitConverter.normalizeUnit(ing.unit);
+        const dimension = UnitConverter.getDimension(unit);
+        return {
+            key: dimension ? `${name}|${dimension}` : `${name}|unit:${unit}`,
+            amount: dimension ? UnitConverter.toBase(ing.amount, unit) : ing.amount,
+            unit: dimension ? unit : ing.unit,
+            dimension
+        };
+    }
+
+    static fromComparable(name, item) {
+        if (item.dimension) {
+            const shopping = UnitConverter.toShoppingUnit(item.amount, item.dimension);
+            return new Ingredient(name, shopping.amount, shopping.unit);
+        }
+        return new Ingredient(name, Math.round(item.amount * 100) / 100, item.unit);
+    }
+
+    // Merges a flat list of ingredients into one Ingredient per name and
+    // dimension. Amounts in units we can't convert are summed per unit.
+    static mergeIngredients(ingredients) {
+        const merged = new Map();
+
+        ingredients.forEach(ing => {
+            const item = UnitConverter.toComparable(ing);
+            if (merged.has(item.key)) {
+                merged.get(item.key).amount += item.amount;
+            } else {
+                merged.set(item.key, Object.assign({ name: ing.name }, item));
+            }
+        });
+
+        return Array.from(merged.values()).map(item => UnitConverter.fromComparable(item.name, item));
+    }
+
+    // What's still needed once the on-hand amounts are taken off
+    static subtractIngredients(needed, onHand) {
+        const available = new Map();
+        onHand.forEach(ing => {
+            const item = UnitConverter.toComparable(ing);
+            available.set(item.key, (available.get(item.key) || 0) + item.amount);
+        });
+
+        return needed
+            .map(ing => {
+                const item = UnitConverter.toComparable(ing);
+                item.amount -= available.get(item.key) || 0;
+                return item.amount > 1e-9 ? UnitConverter.fromComparable(ing.name, item) : null;
+            })
+            .filter(ing => ing);
+    }
+}
+
+// Ingredient knowledge: what an ingredient is and which allergens or animal
+// products it contains. Matching works on whole words, longest term first,
+// so "Eggplant" is not egg and "Peanut Butter" is nuts, not dairy.
+
+const INGREDIENT_KNOWLEDGE = [
+    // Meat
+    { terms: ['meat', 'mince', 'ground meat'], category: 'meat', contains: ['meat'] },
+    { terms: ['chicken', 'poultry'], category: 'meat', contains: ['meat'] },
+    { terms: ['turkey', 'duck'], category: 'meat', contains: ['meat'] },
+    { terms: ['beef', 'steak', 'veal', 'ground beef'], category: 'meat', contains: ['meat'] },
+    { terms: ['pork', 'ham', 'bacon', 'pancetta', 'prosciutto', 'lard'], category: 'meat', contains: ['meat'] },
+    { terms: ['sausage', 'chorizo', 'salami', 'pepperoni'], category: 'meat', contains: ['meat'] },
+    { terms: ['lamb', 'mutton'], category: 'meat', contains: ['meat'] },
+    { terms: ['gelatin', 'gelatine'], category: 'pantry', contains: ['meat'] },
+
+    // Fish and shellfish
+    { terms: ['fish', 'salmon', 'tuna', 'cod', 'trout', 'tilapia', 'halibut', 'mackerel', 'sardine', 'anchovy', 'anchovies'], category: 'seafood', contains: ['fish'] },
+    { terms: ['fish sauce', 'worcestershire sauce'], category: 'pantry', contains: ['fish'] },
+    { terms: ['shrimp', 'prawn', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'scallop', 'squid', 'calamari'], category: 'seafood', contains: ['shellfish'] },
+    { terms: ['oyster sauce'], category: 'pantry', contains: ['shellfish'] },
+
+    // Dairy and eggs
+    { terms: ['milk', 'cream', 'sour cream', 'buttermilk', 'whey', 'ice cream'], category: 'dairy', contains: ['dairy'] },
+    { terms: ['butter', 'ghee'], category: 'dairy', contains: ['dairy'] },
+    { terms: ['cheese', 'cream cheese', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'gouda', 'brie'], category: 'dairy', contains: ['dairy'] },
+    { terms: ['yogurt', 'yoghurt'], category: 'dairy', contains: ['dairy'] },
+    { terms: ['egg', 'egg white', 'egg yolk'], category: 'dairy', contains: ['egg'] },
+    { terms: ['mayonnaise', 'mayo'], category: 'pantry', contains: ['egg'] },
+
+    // Other animal products
+    { terms: ['honey'], category: 'pantry', contains: ['animal'] },
+
+    // Gluten
+    { terms: ['wheat', 'flour', 'semolina', 'bulgur', 'couscous', 'barley', 'rye', 'seitan', 'spelt'], category: 'pantry', contains: ['gluten'] },
+    { terms: ['pasta', 'spaghetti', 'penne', 'macaroni', 'lasagna', 'noodle'], category: 'pantry', contains: ['gluten'] },
+    { terms: ['bread', 'breadcrumb', 'panko', 'tortilla', 'pita', 'bun', 'bagel'], category: 'bakery', contains: ['gluten'] },
+    { terms: ['beer'], category: 'pantry', contains: ['gluten'] },
+    { terms: ['soy sauce', 'shoyu'], category: 'pantry', contains: ['soy', 'gluten'] },
+
+    // Soy
+    { terms: ['soy', 'soya', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso'], category: 'pantry', contains: ['soy'] },
+    { terms: ['tamari'], category: 'pantry', contains: ['soy'] },
+    { terms: ['soy milk', 'soya milk'], category: 'dairy', contains: ['soy'] },
+
+    // Nuts
+    { terms: ['nut', 'almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'pine nut', 'peanut'], category: 'pantry', contains: ['nuts'] },
+    { terms: ['peanut butter', 'almond butter'], category: 'pantry', contains: ['nuts'] },
+    { terms: ['almond milk', 'cashew milk'], category: 'dairy', contains: ['nuts'] },
+    { terms: ['almond flour'], category: 'pantry', contains: ['nuts'] },
+
+    // Free-from versions that would otherwise match a word above
+    { terms: ['gluten free pasta', 'gluten free bread', 'gluten free flour', 'rice noodle', 'rice flour', 'corn tortilla', 'chickpea flour', 'coconut flour'], category: 'pantry', contains: [] },
+    { terms: ['coconut milk', 'oat milk', 'rice milk'], category: 'dairy', contains: [] },
+    { terms: ['vegan cheese', 'vegan butter', 'egg replacer'], category: 'dairy', contains: [] },
+    { terms: ['butter bean', 'cocoa butter', 'butternut squash'], category: 'produce', contains: [] },
+
+    // Produce
+    { terms: ['eggplant', 'aubergine'], category: 'produce', contains: [] },
+    { terms: ['broccoli', 'carrot', 'bell pepper', 'onion', 'garlic', 'tomato', 'potato', 'spinach', 'lettuce', 'mushroom', 'zucchini', 'cucumber', 'celery', 'ginger', 'herb', 'basil', 'parsley', 'cilantro'], category: 'produce', contains: [] },
+    { terms: ['lemon', 'lime', 'apple', 'banana', 'orange', 'berry', 'avocado', 'coconut'], category: 'produce', contains: [] },
+
+    // Pantry staples
+    { terms: ['stock', 'broth'], category: 'pantry', contains: [] },
+    { terms: ['olive oil', 'oil', 'vinegar', 'salt', 'pepper', 'black pepper', 'sugar', 'cornstarch', 'baking powder', 'baking soda', 'nutmeg'], category: 'pantry', contains: [] },
+    { terms: ['rice', 'oat', 'quinoa', 'polenta', 'cornmeal', 'chickpea', 'lentil', 'bean', 'black bean'], category: 'pantry', contains: [] }
+];
+
+// Everything an ingredient can be flagged as containing
+const INGREDIENT_TRAITS = ['dairy', 'egg', 'gluten', 'nuts', 'shellfish', 'soy', 'meat', 'fish', 'animal'];
+
+class IngredientKnowledgeBase {
+    static tokenize(text) {
+        return (text || '').toString().toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word)
+            .map(word => UnitConverter.singularize(word));
+    }
+
+    static getTermIndex() {
+        if (!IngredientKnowledgeBase.termIndex) {
+            const index = new Map();
+            INGREDIENT_KNOWLEDGE.forEach(entry => {
+                entry.terms.forEach(term => {
+                    index.set(IngredientKnowledgeBase.tokenize(term).join(' '), entry);
+                });
+            });
+            IngredientKnowledgeBase.termIndex = index;
+            IngredientKnowledgeBase.longestTerm = Math.max(...Array.from(index.keys()).map(key => key.split(' ').length));
+        }
+        return IngredientKnowledgeBase.termIndex;
+    }
+
+    // Adds (or overrides) knowledge, e.g. a regional synonym
+    static addEntry(entry) {
+        const unknown = entry.contains.filter(trait => !INGREDIENT_TRAITS.includes(trait));
+        if (unknown.length > 0) throw new Error(`Unknown ingredient trait: ${unknown.join(', ')}`);
+
+        INGREDIENT_KNOWLEDGE.push(entry);
+        IngredientKnowledgeBase.termIndex = null;
+    }
+
+    // Returns { known, category, contains, matches } for an ingredient name
+    static classify(name) {
+        const index = IngredientKnowledgeBase.getTermIndex();
+        const words = IngredientKnowledgeBase.tokenize(name);
+        const matches = [];
+
+        let i = 0;
+        while (i < words.length) {
+            let matched = false;
+            for (let length = Math.min(IngredientKnowledgeBase.longestTerm, words.length - i); length > 0; length--) {
+                const term = words.slice(i, i + length).join(' ');
+                if (index.has(term)) {
+                    matches.push({ term, entry: index.get(term) });
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (!matched) i++;
+        }
+
+        const contains = new Set();
+        matches.forEach(match => match.entry.contains.forEach(trait => contains.add(trait)));
+
+        // The last matched term is usually the head noun ("Chicken Stock" -> stock)
+        const head = matches.length > 0 ? matches[matches.length - 1].entry : null;
+        return {
+            known: matches.length > 0,
+            category: head ? head.category : 'other',
+            contains: Array.from(contains),
+            matches: matches.map(match => match.term)
+        };
+    }
+
+    static contains(name, trait) {
+        return IngredientKnowledgeBase.classify(name).contains.includes(trait);
+    }
+
+    // Looks a name up in a Map keyed by tokenized names, falling back to
+    // shorter endings: "Cheddar Cheese" finds "cheese"
+    static findByTrailingWords(name, lookup) {
+        const words = IngredientKnowledgeBase.tokenize(name);
+        for (let i = 0; i < words.length; i++) {
+            const key = words.slice(i).join(' ');
+            if (lookup.has(key)) return lookup.get(key);
+        }
+        return null;
+    }
+}
+
+// A diet is a set of excluded traits. Profiles are looked up by id or by the
+// dietary flag recipes use, so 'glutenFree' and 'gluten-free' are the same.
+class DietProfile {
+    constructor(id, name, flag, excludes = []) {
+        this.id = id;
+        this.name = name;
+        this.flag = flag;
+        this.excludes = excludes;
+    }
+
+    getViolations(ingredient) {
+        const classification = IngredientKnowledgeBase.classify(ingredient.name);
+        return classification.contains.filter(trait => this.excludes.includes(trait));
+    }
+
+    allows(ingredient) {
+        return this.getViolations(ingredient).length === 0;
+    }
+
+    // The recipe's ingredients that break this diet, with the reasons why
+    getOffendingIngredients(recipe) {
+        return (recipe.ingredients || [])
+            .map(ingredient => ({ name: ingredient.name, contains: this.getViolations(ingredient) }))
+            .filter(item => item.contains.length > 0);
+    }
+
+    allowsRecipe(recipe) {
+        return this.getOffendingIngredients(recipe).length === 0;
+    }
+}
+
+class DietProfileRegistry {
+    static normalizeKey(key) {
+        return (key || '').toString().toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    static register(profile) {
+        const unknown = profile.excludes.filter(trait => !INGREDIENT_TRAITS.includes(trait));
+        if (unknown.length > 0) throw new Error(`Unknown ingredient trait: ${unknown.join(', ')}`);
+
+        DietProfileRegistry.profiles.set(DietProfileRegistry.normalizeKey(profile.id), profile);
+        DietProfileRegistry.profiles.set(DietProfileRegistry.normalizeKey(profile.flag), profile);
+        return profile;
+    }
+
+    static get(key) {
+        if (key instanceof DietProfile) return key;
+        return DietProfileRegistry.profiles.get(DietProfileRegistry.normalizeKey(key)) || null;
+    }
+
+    static has(key) {
+        return DietProfileRegistry.get(key) !== null;
+    }
+
+    static getAll() {
+        return Array.from(new Set(DietProfileRegistry.profiles.values()));
+    }
+}
+
+DietProfileRegistry.profiles = new Map();
+DietProfileRegistry.register(new DietProfile('vegan', 'Vegan', 'vegan', ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'animal']));
+DietProfileRegistry.register(new DietProfile('vegetarian', 'Vegetarian', 'vegetarian', ['meat', 'fish', 'shellfish']));
+DietProfileRegistry.register(new DietProfile('pescatarian', 'Pescatarian', 'pescatarian', ['meat']));
+DietProfileRegistry.register(new DietProfile('glutenFree', 'Gluten-free', 'gluten-free', ['gluten']));
+DietProfileRegistry.register(new DietProfile('dairyFree', 'Dairy-free', 'dairy-free', ['dairy']));
+DietProfileRegistry.register(new DietProfile('nutFree', 'Nut-free', 'nut-free', ['nuts']));
+DietProfileRegistry.register(new DietProfile('eggFree', 'Egg-free', 'egg-free', ['egg']));
+DietProfileRegistry.register(new DietProfile('soyFree', 'Soy-free', 'soy-free', ['soy']));
+DietProfileRegistry.register(new DietProfile('shellfishFree', 'Shellfish-free', 'shellfish-free', ['shellfish']));
+
+// Offline nutrition data. Values are per 100 g (sodium in mg). gramsPerUnit
+// is the weight of one item for unit-less amounts, gramsPerMl the density
+// for volumes, and unitWeights covers units like "clove".
+const NUTRIENTS = ['calories', 'protein', 'fat', 'carbs', 'fiber', 'sodium'];
+
+const NUTRITION_TABLE = {
+    'broccoli': { per100g: [34, 2.8, 0.4, 6.6, 2.6, 33], gramsPerUnit: 225 },
+    'carrot': { per100g: [41, 0.9, 0.2, 9.6, 2.8, 69], gramsPerUnit: 61 },
+    'bell pepper': { per100g: [31, 1, 0.3, 6, 2.1, 4], gramsPerUnit: 120 },
+    'tomato': { per100g: [18, 0.9, 0.2, 3.9, 1.2, 5], gramsPerUnit: 123 },
+    'onion': { per100g: [40, 1.1, 0.1, 9.3, 1.7, 4], gramsPerUnit: 110 },
+    'potato': { per100g: [77, 2, 0.1, 17, 2.2, 6], gramsPerUnit: 213 },
+    'spinach': { per100g: [23, 2.9, 0.4, 3.6, 2.2, 79] },
+    'mushroom': { per100g: [22, 3.1, 0.3, 3.3, 1, 5], gramsPerUnit: 18 },
+    'lemon': { per100g: [29, 1.1, 0.3, 9.3, 2.8, 2], gramsPerUnit: 58 },
+    'garlic': { per100g: [149, 6.4, 0.5, 33, 2.1, 17], gramsPerUnit: 40, unitWeights: { clove: 3 } },
+    'chicken breast': { per100g: [165, 31, 3.6, 0, 0, 74], gramsPerUnit: 174 },
+    'chicken': { per100g: [239, 27, 14, 0, 0, 82] },
+    'beef': { per100g: [250, 26, 15, 0, 0, 72] },
+    'bacon': { per100g: [541, 37, 42, 1.4, 0, 1717], gramsPerUnit: 8, unitWeights: { slice: 8, rasher: 8 } },
+    'salmon': { per100g: [208, 20, 13, 0, 0, 59], gramsPerUnit: 170 },
+    'tofu': { per100g: [76, 8, 4.8, 1.9, 0.3, 7] },
+    'egg': { per100g: [143, 12.6, 9.5, 0.7, 0, 142], gramsPerUnit: 50 },
+    'milk': { per100g: [42, 3.4, 1, 5, 0, 44], gramsPerMl: 1.03 },
+    'butter': { per100g: [717, 0.9, 81, 0.1, 0, 11], gramsPerMl: 0.91 },
+    'cheese': { per100g: [403, 25, 33, 1.3, 0, 621] },
+    'parmesan': { per100g: [431, 38, 29, 4.1, 0, 1602] },
+    'coconut milk': { per100g: [230, 2.3, 24, 6, 2.2, 15], gramsPerMl: 0.97 },
+    'pasta': { per100g: [371, 13, 1.5, 75, 3.2, 6], aliases: ['spaghetti', 'penne', 'macaroni', 'lasagna sheet', 'noodle'] },
+    'rice': { per100g: [365, 7.1, 0.7, 80, 1.3, 5], gramsPerMl: 0.85 },
+    'oat': { per100g: [389, 16.9, 6.9, 66, 10.6, 2], gramsPerMl: 0.41 },
+    'flour': { per100g: [364, 10, 1, 76, 2.7, 2], gramsPerMl: 0.53 },
+    'bread': { per100g: [265, 9, 3.2, 49, 2.7, 491], gramsPerUnit: 30, unitWeights: { slice: 30 } },
+    'sugar': { per100g: [387, 0, 0, 100, 0, 1], gramsPerMl: 0.85 },
+    'honey': { per100g: [304, 0.3, 0, 82, 0.2, 4], gramsPerMl: 1.42 },
+    'olive oil': { per100g: [884, 0, 100, 0, 0, 2], gramsPerMl: 0.91, aliases: ['oil'] },
+    'soy sauce': { per100g: [53, 8.1, 0.6, 4.9, 0.8, 5493], gramsPerMl: 1.2 },
+    'salt': { per100g: [0, 0, 0, 0, 0, 38758], gramsPerMl: 1.2 }
+};
+
+class NutritionCalculator {
+    static getLookup() {
+        if (!NutritionCalculator.lookup) {
+            const lookup = new Map();
+            Object.entries(NUTRITION_TABLE).forEach(([name, entry]) => {
+                [name, ...(entry.aliases || [])].forEach(key => {
+                    lookup.set(IngredientKnowledgeBase.tokenize(key).join(' '), entry);
+                });
+            });
+            NutritionCalculator.lookup = lookup;
+        }
+        return NutritionCalculator.lookup;
+    }
+
+    static findEntry(name) {
+        return IngredientKnowledgeBase.findByTrailingWords(name, NutritionCalculator.getLookup());
+    }
+
+    static empty() {
+        return NUTRIENTS.reduce((facts, nutrient) => Object.assign(facts, { [nutrient]: 0 }), {});
+    }
+
+    static add(a, b) {
+        return NUTRIENTS.reduce((facts, nutrient) => Object.assign(facts, { [nutrient]: a[nutrient] + b[nutrient] }), {});
+    }
+
+    static scale(facts, factor) {
+        return NUTRIENTS.reduce((result, nutrient) => Object.assign(result, { [nutrient]: facts[nutrient] * factor }), {});
+    }
+
+    static round(facts) {
+        return NUTRIENTS.reduce((result, nutrient) =>
+            Object.assign(result, { [nutrient]: Math.round(facts[nutrient] * 10) / 10 }), {});
+    }
+
+    // Weight of an ingredient in grams, or null when it can't be worked out
+    static toGrams(ingredient, entry) {
+        const unit = UnitConverter.normalizeUnit(ingredient.unit);
+        const dimension = UnitConverter.getDimension(unit);
+
+        if (dimension === 'mass') return UnitConverter.toBase(ingredient.amount, unit);
+        if (dimension === 'volume') return UnitConverter.toBase(ingredient.amount, unit) * (entry.gramsPerMl || 1);
+        if (dimension === 'count') return entry.gramsPerUnit ? UnitConverter.toBase(ingredient.amount, unit) * entry.gramsPerUnit : null;
+        if (entry.unitWeights && entry.unitWeights[unit]) return ingredient.amount * entry.unitWeights[unit];
+        return null;
+    }
+
+    // Returns the ingredient's facts, or null if it isn't in the table
+    static forIngredient(ingredient) {
+        const entry = NutritionCalculator.findEntry(ingredient.name);
+        if (!entry) return null;
+        const grams = NutritionCalculator.toGrams(ingredient, entry);
+        if (grams === null) return null;
+
+        const per100g = NUTRIENTS.reduce((facts, nutrient, index) =>
+            Object.assign(facts, { [nutrient]: entry.per100g[index] }), {});
+        return NutritionCalculator.scale(per100g, grams / 100);
+    }
+
+    // { servings, total, perServing, unmatchedIngredients } for the recipe
+    // cooked for `servings` (its own servings by default)
+    static forRecipe(recipe, servings = recipe.servings) {
+        let total = NutritionCalculator.empty();
+        const unmatchedIngredients = [];
+
+        recipe.scaleIngredients(servings).forEach(ingredient => {
+            const facts = NutritionCalculator.forIngredient(ingredient);
+            if (facts) {
+                total = NutritionCalculator.add(total, facts);
+            } else {
+                unmatchedIngredients.push(ingredient.name);
+            }
+        });
+
+        return {
+            servings,
+            total: NutritionCalculator.round(total),
+            perServing: NutritionCalculator.round(NutritionCalculator.scale(total, 1 / servings)),
+            unmatchedIngredients
+        };
+    }
+}
+
+// Local price catalog: what a package costs and how much is in it. Shopping
+// quantities are rounded up to whole packages (eggs come by the dozen).
+const DEFAULT_PRICES = [
+    ['broccoli', 500, 'g', 2.49],
+    ['carrot', 1, '', 0.30],
+    ['bell pepper', 1, '', 1.29],
+    ['tomato', 1, '', 0.60],
+    ['onion', 1, '', 0.50],
+    ['potato', 2, 'kg', 2.99],
+    ['spinach', 200, 'g', 2.49],
+    ['mushroom', 250, 'g', 2.29],
+    ['lemon', 1, '', 0.69],
+    ['garlic', 10, 'clove', 0.59],
+    ['chicken breast', 2, '', 6.99],
+    ['beef', 500, 'g', 6.99],
+    ['bacon', 250, 'g', 4.49],
+    ['salmon', 300, 'g', 8.99],
+    ['tofu', 400, 'g', 2.49],
+    ['egg', 12, '', 3.99],
+    ['milk', 1, 'l', 1.29],
+    ['butter', 250, 'g', 3.49],
+    ['cheese', 200, 'g', 3.99],
+    ['parmesan', 200, 'g', 5.49],
+    ['coconut milk', 400, 'ml', 1.99],
+    ['pasta', 500, 'g', 1.79],
+    ['rice', 1, 'kg', 2.49],
+    ['flour', 1, 'kg', 1.99],
+    ['sugar', 1, 'kg', 2.29],
+    ['honey', 340, 'g', 4.99],
+    ['olive oil', 500, 'ml', 7.99],
+    ['soy sauce', 250, 'ml', 2.99],
+    ['salt', 750, 'g', 0.99]
+];
+
+class PriceCatalog {
+    constructor(prices = DEFAULT_PRICES) {
+        this.entries = new Map();
+        prices.forEach(([name, packageAmount, packageUnit, packagePrice]) =>
+            this.setPrice(name, packageAmount, packageUnit, packagePrice)
+        );
+    }
+
+    setPrice(name, packageAmount, packageUnit, packagePrice) {
+        if (!(packageAmount > 0) || !(packagePrice >= 0)) throw new ValidationError(`Invalid price for ${name}`);
+        this.entries.set(IngredientKnowledgeBase.tokenize(name).join(' '), { name, packageAmount, packageUnit, packagePrice });
+    }
+
+    findEntry(name) {
+        return IngredientKnowledgeBase.findByTrailingWords(name, this.entries);
+    }
+
+    // How much of one package the ingredient is, or null if we can't tell
+    getPackageFraction(ingredient, entry) {
+        const unit = UnitConverter.normalizeUnit(ingredient.unit);
+        const packageUnit = UnitConverter.normalizeUnit(entry.packageUnit);
+        const dimension = UnitConverter.getDimension(unit);
+
+        if (dimension && dimension === UnitConverter.getDimension(packageUnit)) {
+            return UnitConverter.convert(ingredient.amount, unit, packageUnit) / entry.packageAmount;
+        }
+        return unit === packageUnit ? ingredient.amount / entry.packageAmount : null;
+    }
+
+    // { name, amount, unit, priced, packages, packageAmount, packageUnit,
+    // packagePrice, cost, usedCost }. cost buys whole packages; usedCost is
+    // only the share the ingredient uses up.
+    priceIngredient(ingredient) {
+        const item = { name: ingredient.name, amount: ingredient.amount, unit: ingredient.unit, priced: false };
+        const entry = this.findEntry(ingredient.name);
+        const fraction = entry ? this.getPackageFraction(ingredient, entry) : null;
+        if (fraction === null) return item;
+
+        const packages = Math.max(1, Math.ceil(fraction - 1e-6));
+        return Object.assign(item, {
+            priced: true,
+            packages,
+            packageAmount: entry.packageAmount,
+            packageUnit: entry.packageUnit,
+            packagePrice: entry.packagePrice,
+            cost: PriceCatalog.roundMoney(packages * entry.packagePrice),
+            usedCost: PriceCatalog.roundMoney(fraction * entry.packagePrice)
+        });
+    }
+
+    // Cost of cooking a recipe: the used share of each ingredient
+    priceRecipe(recipe, servings = recipe.servings) {
+        const items = recipe.scaleIngredients(servings).map(ing => this.priceIngredient(ing));
+        const total = PriceCatalog.roundMoney(items.reduce((sum, item) => sum + (item.usedCost || 0), 0));
+        return {
+            servings,
+            total,
+            perServing: PriceCatalog.roundMoney(total / servings),
+            items,
+            unpricedIngredients: items.filter(item => !item.priced).map(item => item.name)
+        };
+    }
+
+    // Cost of buying a shopping list, whole packages only
+    priceShoppingList(shoppingList) {
+        const items = shoppingList.map(ing => this.priceIngredient(ing));
+        return {
+            total: PriceCatalog.roundMoney(items.reduce((sum, item) => sum + (item.cost || 0), 0)),
+            items,
+            unpricedIngredients: items.filter(item => !item.priced).map(item => item.name)
+        };
+    }
+
+    static roundMoney(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+class ShoppingListStrategy {
+    generate(mealPlan, recipeRepo) {
+        throw new Error('generate method must be implemented');
+    }
+
+    // One scaled ingredient list per plan entry, so a recipe cooked twice or
+    // for more people is bought for accordingly.
+    collectIngredients(mealPlan, recipeRepo) {
+        const allIngredients = [];
+
+        mealPlan.entries.forEach(entry => {
+            const recipe = recipeRepo.getEntryRecipe(entry);
+            if (recipe && recipe.ingredients) {
+                const servings = entry.servings || recipe.servings;
+                allIngredients.push(...recipe.scaleIngredients(servings));
+            }
+        });
+
+        return allIngredients;
+    }
+}
+
+class BasicShoppingListStrategy extends ShoppingListStrategy {
+    generate(mealPlan, recipeRepo) {
+        const allIngredients = this.collectIngredients(mealPlan, recipeRepo);
+        return UnitConverter.mergeIngredients(allIngredients);
+    }
+}
+
+// Drops every ingredient the diet profile excludes
+class DietaryShoppingListStrategy extends ShoppingListStrategy {
+    constructor(dietProfile) {
+        super();
+        this.dietProfile = DietProfileRegistry.get(dietProfile);
+        if (!this.dietProfile) throw new Error(`Unknown diet profile: ${dietProfile}`);
+    }
+
+    generate(mealPlan, recipeRepo) {
+        const allIngredients = this.collectIngredients(mealPlan, recipeRepo);
+        const allowed = allIngredients.filter(ingredient => this.dietProfile.allows(ingredient));
+        return UnitConverter.mergeIngredients(allowed);
+    }
+}
+
+class VeganShoppingListStrategy extends DietaryShoppingListStrategy {
+    constructor() {
+        super('vegan');
+    }
+}
+
+class GlutenFreeShoppingListStrategy extends DietaryShoppingListStrategy {
+    constructor() {
+        super('glutenFree');
+    }
+}
+
+// Lists whole packages to buy and checks their cost against a weekly
+// budget (prorated for plans longer or shorter than a week). The last
+// check is kept in `report`, with a warning naming the costliest recipes.
+// options.onHand (ingredients at home) are taken off before pricing.
+class BudgetShoppingListStrategy extends ShoppingListStrategy {
+    constructor(options = {}) {
+        super();
+        this.weeklyBudget = options.weeklyBudget === undefined ? null : options.weeklyBudget;
+        this.priceCatalog = options.priceCatalog || new PriceCatalog();
+        this.baseStrategy = ShoppingListStrategyFactory.createStrategy(options.baseStrategy || 'basic');
+        this.onHand = options.onHand || [];
+        this.report = null;
+    }
+
+    generate(mealPlan, recipeRepo) {
+        const shoppingList = UnitConverter.subtractIngredients(this.baseStrategy.generate(mealPlan, recipeRepo), this.onHand);
+        const priced = this.priceCatalog.priceShoppingList(shoppingList);
+
+        const recipeCosts = new Map();
+        mealPlan.entries.forEach(entry => {
+            const recipe = recipeRepo.getEntryRecipe(entry);
+            if (!recipe) return;
+            const cost = this.priceCatalog.priceRecipe(recipe, entry.servings || recipe.servings).total;
+            const current = recipeCosts.get(recipe.id) || { recipeId: recipe.id, title: recipe.title, cost: 0 };
+            current.cost = PriceCatalog.roundMoney(current.cost + cost);
+            recipeCosts.set(recipe.id, current);
+        });
+        const expensiveRecipes = Array.from(recipeCosts.values()).sort((a, b) => b.cost - a.cost);
+
+        const planDays = PlanCalendar.daysBetween(mealPlan.startDate, mealPlan.endDate) + 1;
+        const budget = this.weeklyBudget === null ? null : PriceCatalog.roundMoney(this.weeklyBudget * planDays / 7);
+        const overBudget = budget !== null && priced.total > budget;
+        const warnings = [];
+        if (overBudget) {
+            const names = expensiveRecipes.slice(0, 3).map(item => `${item.title} (${item.cost.toFixed(2)})`).join(', ');
+            warnings.push(`Plan costs ${priced.total.toFixed(2)}, over the budget of ${budget.toFixed(2)} by ${(priced.total - budget).toFixed(2)}. Most expensive recipes: ${names}`);
+        }
+        if (priced.unpricedIngredients.length > 0) {
+            warnings.push(`No price for: ${priced.unpricedIngredients.join(', ')}`);
+        }
+
+        this.report = {
+            total: priced.total,
+            budget,
+            overBudget,
+            items: priced.items,
+            expensiveRecipes,
+            warnings
+        };
+
+        return priced.items.map(item => item.priced
+            ? new Ingredient(item.name, item.packages * item.packageAmount, item.packageUnit)
+            : new Ingredient(item.name, item.amount, item.unit)
+        );
+    }
+}
+
+// Strategy Factory
+class ShoppingListStrategyFactory {
+    // options are passed to strategies that take them (budget)
+    static createStrategy(type, options = {}) {
+        switch(type) {
+            case 'basic':
+                return new BasicShoppingListStrategy();
+            case 'vegan':
+                return new VeganShoppingListStrategy();
+            case 'glutenFree':
+                return new GlutenFreeShoppingListStrategy();
+            case 'budget':
+                return new BudgetShoppingListStrategy(options);
+            default:
+                // Any registered diet (nutFree, vegetarian, ...) gets a dietary strategy
+                if (DietProfileRegistry.has(type)) {
+                    return new DietaryShoppingListStrategy(type);
+                }
+                return new BasicShoppingListStrategy();
+        }
+    }
+}
+
+// Meal plan generation: picks a recipe for every date and slot under the
+// given constraints. The same seed and recipes always give the same plan.
+
+// mulberry32; numbers in [0, 1) from a 32-bit seed (strings are hashed)
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.state = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hash(String(seed));
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    static hash(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+}
+
+class MealPlanGenerator {
+    // options: { dietProfiles, minRating, avoidRepeatDays, maxTagStreak,
+    // preferSharedIngredients, seed }
+    constructor(recipes, options = {}) {
+        const profiles = [].concat(options.dietProfiles || options.dietProfile || []).map(key => {
+            const profile = DietProfileRegistry.get(key);
+            if (!profile) throw new ValidationError(`Unknown diet profile: ${key}`);
+            return profile;
+        });
+
+        // Ids are time-based and random, so a seed only reproduces a plan if
+        // candidates are ordered by content: title, servings, then the order given
+        this.candidates = recipes
+            .filter(recipe => profiles.every(profile => profile.allowsRecipe(recipe)))
+            .filter(recipe => options.minRating === undefined || recipe.rating >= options.minRating)
+            .map((recipe, index) => ({ recipe, index }))
+            .sort((a, b) => a.recipe.title.localeCompare(b.recipe.title) || a.recipe.servings - b.recipe.servings || a.index - b.index)
+            .map(item => item.recipe);
+        this.avoidRepeatDays = options.avoidRepeatDays === undefined ? 6 : options.avoidRepeatDays;
+        this.maxTagStreak = options.maxTagStreak === undefined ? 2 : options.maxTagStreak;
+        this.preferSharedIngredients = options.preferSharedIngredients !== false;
+        this.random = new SeededRandom(options.seed);
+    }
+
+    // Returns [{ date, slot, recipe }] for every date and slot, in order
+    generate(dates, slots) {
+        if (this.candidates.length === 0) throw new ValidationError('No recipes match the meal plan options');
+
+        const picks = [];
+        const usedIngredients = new Set();
+        dates.forEach(date => {
+            slots.forEach(slot => {
+                const recipe = this.pick(date, slot, picks, usedIngredients);
+                picks.push({ date, slot, recipe });
+                recipe.ingredients.forEach(ing => usedIngredients.add(UnitConverter.normalizeIngredientName(ing.name)));
+            });
+        });
+        return picks;
+    }
+
+    // Tries all rules first, then drops the tag rule, then the repeat rule,
+    // so a small recipe box still fills the plan.
+    pick(date, slot, picks, usedIngredients) {
+        const sameSlot = picks.filter(item => item.slot === slot);
+        const rules = [
+            recipe => this.isFreshEnough(recipe, date, picks) && this.keepsTagVariety(recipe, sameSlot),
+            recipe => this.isFreshEnough(recipe, date, picks),
+            () => true
+        ];
+
+        for (const rule of rules) {
+            const eligible = this.candidates.filter(rule);
+            if (eligible.length > 0) {
+                const scored = eligible.map(recipe => ({ recipe, score: this.score(recipe, usedIngredients) }));
+                scored.sort((a, b) => b.score - a.score);
+                return scored[0].recipe;
+            }
+        }
+        return null;
+    }
+
+    isFreshEnough(recipe, date, picks) {
+        return !picks.some(item =>
+            item.recipe.id === recipe.id && PlanCalendar.daysBetween(item.date, date) <= this.avoidRepeatDays
+        );
+    }
+
+    // False when the last maxTagStreak meals in this slot all share a tag
+    // with the recipe (no pasta three nights running)
+    keepsTagVariety(recipe, sameSlotPicks) {
+        if (this.maxTagStreak <= 0 || sameSlotPicks.length < this.maxTagStreak) return true;
+        const recent = sameSlotPicks.slice(-this.maxTagStreak);
+        return !(recipe.tags || []).some(tag =>
+            recent.every(item => (item.recipe.tags || []).some(other => other.toLowerCase() === tag.toLowerCase()))
+        );
+    }
+
+    // Random base, nudged towards higher ratings and (optionally) towards
+    // ingredients already bought for the plan
+    score(recipe, usedIngredients) {
+        let score = this.random.next() + recipe.rating / 10;
+        if (this.preferSharedIngredients && recipe.ingredients.length > 0) {
+            const shared = recipe.ingredients.filter(ing =>
+                usedIngredients.has(UnitConverter.normalizeIngredientName(ing.name))
+            ).length;
+            score += shared / recipe.ingredients.length;
+        }
+        return score;
+    }
+}
+
+// Merges several recipes' steps into one cook-day timeline that finishes
+// at the serve time. The cook does one hands-on task at a time and each
+// piece of equipment holds one step for the step's whole duration. Steps
+// are placed as late as possible, working back from the serve time, so
+// dishes come out together instead of going cold.
+class CookDayScheduler {
+    // jobs: [{ key, recipe }] with a unique key per dish (e.g. the plan
+    // entry id). Returns the steps as [{ key, recipe, step, start, end }],
+    // in minutes relative to serving (negative = before), earliest first.
+    static schedule(jobs) {
+        const tasks = [];
+        jobs.forEach((job, jobIndex) => {
+            const byId = new Map();
+            job.recipe.steps.forEach((step, stepIndex) => {
+                const task = { key: job.key, recipe: job.recipe, step, jobIndex, stepIndex, dependents: [], start: null, end: null };
+                byId.set(step.id, task);
+                tasks.push(task);
+            });
+            job.recipe.steps.forEach(step => {
+                step.dependsOn.forEach(id => {
+                    if (byId.has(id)) byId.get(id).dependents.push(byId.get(step.id));
+                });
+            });
+        });
+
+        const cookBusy = [];
+        const equipmentBusy = new Map();
+        const remaining = new Set(tasks);
+        while (remaining.size > 0) {
+            const ready = Array.from(remaining)
+                .filter(task => task.dependents.every(dependent => dependent.end !== null))
+                .map(task => ({ task, latestEnd: Math.min(0, ...task.dependents.map(dependent => dependent.start)) }))
+                .sort((a, b) => b.latestEnd - a.latestEnd ||
+                    b.task.step.getDuration() - a.task.step.getDuration() ||
+                    a.task.jobIndex - b.task.jobIndex ||
+                    b.task.stepIndex - a.task.stepIndex);
+            const { task, latestEnd } = ready[0];
+
+            task.end = CookDayScheduler.latestFreeEnd(task.step, latestEnd, cookBusy, equipmentBusy);
+            task.start = task.end - task.step.getDuration();
+            if (task.step.activeMinutes > 0) cookBusy.push([task.start, task.start + task.step.activeMinutes]);
+            if (task.step.getDuration() > 0) {
+                task.step.equipment.forEach(name => {
+                    if (!equipmentBusy.has(name)) equipmentBusy.set(name, []);
+                    equipmentBusy.get(name).push([task.start, task.end]);
+                });
+            }
+            remaining.delete(task);
+        }
+
+        return tasks
+            .sort((a, b) => a.start - b.start || a.end - b.end || a.jobIndex - b.jobIndex || a.stepIndex - b.stepIndex)
+            .map(({ key, recipe, step, start, end }) => ({ key, recipe, step, start, end }));
+    }
+
+    // The latest end, no later than `end`, at which the step's hands-on part
+    // misses the cook's other tasks and its equipment is free throughout
+    static latestFreeEnd(step, end, cookBusy, equipmentBusy) {
+        const duration = step.getDuration();
+        const overlaps = (start, finish, busy) => start < busy[1] && busy[0] < finish;
+
+        for (;;) {
+            const start = end - duration;
+            const clearances = [];
+            if (step.activeMinutes > 0) {
+                cookBusy.filter(busy => overlaps(start, start + step.activeMinutes, busy))
+                    .forEach(busy => clearances.push(busy[0] + duration - step.activeMinutes));
+            }
+            if (duration > 0) {
+                step.equipment.forEach(name => {
+                    (equipmentBusy.get(name) || []).filter(busy => overlaps(start, end, busy))
+                        .forEach(busy => clearances.push(busy[0]));
+                });
+            }
+            if (clearances.length === 0) return end;
+            end = Math.min(...clearances);
+        }
+    }
+}
+
+// Store sections: ingredient categories from the knowledge base map onto
+// sections, and single ingredients can be moved with overrides.
+const STORE_SECTION_ORDER = ['produce', 'bakery', 'meat', 'dairy', 'pantry', 'other'];
+
+const DEFAULT_SECTION_MAP = {
+    produce: 'produce',
+    bakery: 'bakery',
+    meat: 'meat',
+    seafood: 'meat',
+    dairy: 'dairy',
+    pantry: 'pantry',
+    other: 'other'
+};
+
+class StoreSectionMap {
+    constructor(categoryMap = DEFAULT_SECTION_MAP, order = STORE_SECTION_ORDER) {
+        this.categoryMap = Object.assign({}, categoryMap);
+        this.order = order.slice();
+        this.overrides = new Map();
+    }
+
+    setCategorySection(category, section) {
+        this.categoryMap[category] = section;
+        if (!this.order.includes(section)) this.order.splice(this.order.length - 1, 0, section);
+    }
+
+    setIngredientSection(name, section) {
+        this.overrides.set(UnitConverter.normalizeIngredientName(name), section);
+        if (!this.order.includes(section)) this.order.splice(this.order.length - 1, 0, section);
+    }
+
+    getSection(name) {
+        const override = this.overrides.get(UnitConverter.normalizeIngredientName(name));
+        if (override) return override;
+        const category = IngredientKnowledgeBase.classify(name).category;
+        return this.categoryMap[category] || 'other';
+    }
+}
+
+// Shopping list exporters: markdown checklist, CSV, plain text and JSON
+const SHOPPING_LIST_FORMATS = ['markdown', 'csv', 'text', 'json'];
+
+class ShoppingListExporter {
+    static export(list, format = 'markdown', sectionOrder = STORE_SECTION_ORDER) {
+        const formats = { md: 'markdown', txt: 'text' };
+        const resolved = formats[format] || format;
+        if (!SHOPPING_LIST_FORMATS.includes(resolved)) throw new ValidationError(`Unknown format: ${format}`);
+
+        const sections = list.getSections(sectionOrder);
+        switch (resolved) {
+            case 'markdown':
+                return ShoppingListExporter.toMarkdown(list, sections);
+            case 'csv':
+                return ShoppingListExporter.toCsv(sections);
+            case 'text':
+                return ShoppingListExporter.toText(list, sections);
+            default:
+                return JSON.stringify({ id: list.id, name: list.name, mealPlanId: list.mealPlanId, sections }, null, 2);
+        }
+    }
+
+    static describe(item) {
+        return new Ingredient(item.name, item.amount, item.unit).toString();
+    }
+
+    static titleCase(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    static toMarkdown(list, sections) {
+        const lines = [`# ${list.name}`];
+        sections.forEach(({ section, items }) => {
+            lines.push('', `## ${ShoppingListExporter.titleCase(section)}`);
+            items.forEach(item => lines.push(`- [${item.checked ? 'x' : ' '}] ${ShoppingListExporter.describe(item)}`));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    static toCsv(sections) {
+        const quote = value => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [['section', 'name', 'amount', 'unit', 'checked']];
+        sections.forEach(({ section, items }) => {
+            items.forEach(item => rows.push([section, item.name, item.amount, item.unit, item.checked]));
+        });
+        return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static toText(list, sections) {
+        const lines = [list.name];
+        sections.forEach(({ section, items }) => {
+            lines.push('', section.toUpperCase());
+            items.forEach(item => lines.push(`  [${item.checked ? 'x' : ' '}] ${ShoppingListExporter.describe(item)}`));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Recipe formats: a tolerant ingredient line parser, schema.org/Recipe
+// JSON-LD and a plain-text layout for import and export.
+const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+    '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6, '⅚': 5 / 6,
+    '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Units that can't be converted but still belong in the unit column
+const COUNTABLE_UNITS = ['clove', 'pinch', 'dash', 'can', 'slice', 'bunch', 'sprig', 'handful', 'package', 'packet',
+    'stick', 'head', 'jar', 'bottle', 'bag', 'rasher', 'fillet', 'sheet', 'leaf', 'stalk'];
+
+const SIZE_WORDS = ['large', 'medium', 'small', 'extra-large', 'big', 'heaping', 'level'];
+
+class IngredientLineParser {
+    // "1 1/2 cups flour, sifted" -> Ingredient('flour', 1.5, 'cup'). Returns
+    // null when the line has no quantity or no name. Ranges use the upper
+    // bound so nobody under-buys; notes after a comma are dropped.
+    static parse(line) {
+        let text = (line || '').toString().trim()
+            .replace(/^[-*•]\s*/, '')
+            .replace(/\([^)]*\)/g, ' ')
+            .replace(/(\d)?([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) =>
+                `${whole ? whole + ' ' : ''}${UNICODE_FRACTIONS[fraction]}`)
+            .replace(/(\d)\s*[-–]\s*(\d)/g, '$1 - $2')
+            .replace(/(\d)([a-zA-Z])/g, '$1 $2');
+        text = text.split(',')[0];
+
+        const tokens = text.split(/\s+/).filter(token => token);
+        let index = 0;
+
+        let amount = IngredientLineParser.readQuantity(tokens, index);
+        if (amount) {
+            index = amount.next;
+            if (['-', 'to', 'or'].includes((tokens[index] || '').toLowerCase())) {
+                const upper = IngredientLineParser.readQuantity(tokens, index + 1);
+                if (upper) {
+                    amount = { value: Math.max(amount.value, upper.value), next: upper.next };
+                    index = upper.next;
+                }
+            }
+        } else if (/^(a|an|one)$/i.test(tokens[0] || '') && IngredientLineParser.readUnit(tokens, 1)) {
+            amount = { value: 1, next: 1 };
+            index = 1;
+        } else {
+            return null;
+        }
+
+        let unit = '';
+        const unitMatch = IngredientLineParser.readUnit(tokens, index);
+        if (unitMatch) {
+            unit = unitMatch.unit;
+            index = unitMatch.next;
+        }
+        if ((tokens[index] || '').toLowerCase() === 'of') index++;
+        while (index < tokens.length && SIZE_WORDS.includes(tokens[index].toLowerCase())) index++;
+
+        const name = tokens.slice(index).join(' ').trim();
+        if (!name || !(amount.value > 0)) return null;
+        return new Ingredient(name, Math.round(amount.value * 1000) / 1000, unit);
+    }
+
+    // A whole number, decimal or fraction, optionally followed by a fraction
+    // ("1 1/2"). Returns { value, next } or null.
+    static readQuantity(tokens, index) {
+        const parse = token => {
+            if (/^\d+(\.\d+)?$/.test(token) || /^\.\d+$/.test(token)) return parseFloat(token);
+            const fraction = /^(\d+)\/(\d+)$/.exec(token);
+            return fraction && Number(fraction[2]) !== 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+        };
+
+        const first = parse(tokens[index] || '');
+        if (first === null) return null;
+        const second = parse(tokens[index + 1] || '');
+        if (second !== null && second < 1 && Number.isInteger(first)) {
+            return { value: first + second, next: index + 2 };
+        }
+        return { value: first, next: index + 1 };
+    }
+
+    // Known units (canonical, e.g. "cups" -> "cup") or countable units as
+    // written ("cloves"). Returns { unit, next } or null.
+    static readUnit(tokens, index) {
+        const candidates = [2, 1].filter(length => index + length <= tokens.length);
+        for (const length of candidates) {
+            const text = tokens.slice(index, index + length).join(' ').toLowerCase().replace(/\.$/, '');
+            if (UnitConverter.isKnownUnit(text) && UnitConverter.normalizeUnit(text) !== '') {
+                // A bare "c" or "l" only counts as a unit when a name follows
+                if (index + length < tokens.length) return { unit: UnitConverter.normalizeUnit(text), next: index + length };
+            }
+            if (length === 1 && COUNTABLE_UNITS.includes(UnitConverter.singularize(text))) {
+                return { unit: text, next: index + 1 };
+            }
+        }
+        return null;
+    }
+}
+
+// Dietary flags that schema.org has a RestrictedDiet value for
+const SCHEMA_ORG_DIETS = {
+    'vegan': 'VeganDiet',
+    'vegetarian': 'VegetarianDiet',
+    'gluten-free': 'GlutenFreeDiet',
+    'dairy-free': 'LowLactoseDiet',
+    'halal': 'HalalDiet',
+    'kosher': 'KosherDiet',
+    'low-calorie': 'LowCalorieDiet',
+    'low-fat': 'LowFatDiet',
+    'low-salt': 'LowSaltDiet',
+    'diabetic': 'DiabeticDiet'
+};
+
+class RecipeJsonLd {
+    static toJsonLd(recipe) {
+        const diets = (recipe.dietaryFlags || []).filter(flag => SCHEMA_ORG_DIETS[flag.toLowerCase()]);
+        const otherFlags = (recipe.dietaryFlags || []).filter(flag => !SCHEMA_ORG_DIETS[flag.toLowerCase()]);
+        const document = {
+            '@context': 'https://schema.org',
+            '@type': 'Recipe',
+            name: recipe.title,
+            recipeYield: `${recipe.servings} servings`,
+            recipeIngredient: (recipe.ingredients || []).map(ing => ing.toString()),
+            prepTime: RecipeJsonLd.toDuration(recipe.getPrepMinutes()),
+            cookTime: RecipeJsonLd.toDuration(recipe.getCookMinutes()),
+            totalTime: RecipeJsonLd.toDuration(recipe.getTotalMinutes()),
+            recipeInstructions: (recipe.steps || []).map(step => ({ '@type': 'HowToStep', text: step.text })),
+            keywords: (recipe.tags || []).concat(otherFlags).join(', ')
+        };
+        if (diets.length > 0) {
+            document.suitableForDiet = diets.map(flag => `https://schema.org/${SCHEMA_ORG_DIETS[flag.toLowerCase()]}`);
+        }
+        const ratingCount = recipe.getVisibleRatings().length;
+        if (ratingCount > 0) {
+            document.aggregateRating = {
+                '@type': 'AggregateRating',
+                ratingValue: Math.round(recipe.rating * 10) / 10,
+                ratingCount
+            };
+        }
+        return document;
+    }
+
+    // Every Recipe node in a JSON-LD document (a single node, an array, or
+    // an @graph, as recipe sites embed them)
+    static findRecipeNodes(document) {
+        if (Array.isArray(document)) return document.flatMap(node => RecipeJsonLd.findRecipeNodes(node));
+        if (!document || typeof document !== 'object') return [];
+        if (document['@graph']) return RecipeJsonLd.findRecipeNodes(document['@graph']);
+
+        const types = [].concat(document['@type'] || []);
+        return types.some(type => String(type).replace('https://schema.org/', '').replace('http://schema.org/', '') === 'Recipe')
+            ? [document]
+            : [];
+    }
+
+    // Returns { fields, unparsedLines } where fields are the Recipe
+    // constructor values (title, ingredients, steps, tags, dietaryFlags, servings)
+    static fromJsonLd(node) {
+        const title = RecipeJsonLd.text(node.name);
+        if (!title) throw new ValidationError('Recipe has no name');
+
+        const ingredients = [];
+        const unparsedLines = [];
+        [].concat(node.recipeIngredient || node.ingredients || []).forEach(line => {
+            const ingredient = IngredientLineParser.parse(RecipeJsonLd.text(line));
+            if (ingredient) {
+                ingredients.push(ingredient);
+            } else {
+                unparsedLines.push(RecipeJsonLd.text(line));
+            }
+        });
+
+        const keywords = [].concat(node.keywords || [])
+            .flatMap(value => RecipeJsonLd.text(value).split(','))
+            .concat([].concat(node.recipeCategory || []), [].concat(node.recipeCuisine || []))
+            .map(value => RecipeJsonLd.text(value).trim().toLowerCase())
+            .filter(value => value);
+        const dietNames = Object.entries(SCHEMA_ORG_DIETS).reduce((names, [flag, diet]) => Object.assign(names, { [diet]: flag }), {});
+        const dietaryFlags = [].concat(node.suitableForDiet || [])
+            .map(value => dietNames[RecipeJsonLd.text(value).split('/').pop()])
+            .filter(flag => flag);
+
+        const yieldMatch = /\d+/.exec([].concat(node.recipeYield || []).map(RecipeJsonLd.text).join(' '));
+        return {
+            fields: {
+                title,
+                ingredients,
+                steps: RecipeJsonLd.readInstructions(node.recipeInstructions),
+                tags: Array.from(new Set(keywords.filter(keyword => !dietaryFlags.includes(keyword)))),
+                dietaryFlags,
+                servings: yieldMatch && Number(yieldMatch[0]) > 0 ? Number(yieldMatch[0]) : 1
+            },
+            unparsedLines
+        };
+    }
+
+    // Strings, HowToStep and HowToSection (with itemListElement) all flatten
+    // to a list of step texts
+    static readInstructions(instructions) {
+        if (!instructions) return [];
+        if (typeof instructions === 'string') {
+            return instructions.split(/\r?\n+/).map(step => step.trim()).filter(step => step);
+        }
+        if (Array.isArray(instructions)) return instructions.flatMap(item => RecipeJsonLd.readInstructions(item));
+        if (instructions.itemListElement) return RecipeJsonLd.readInstructions(instructions.itemListElement);
+        return [RecipeJsonLd.text(instructions.text || instructions.name)].filter(step => step);
+    }
+
+    // ISO 8601 duration, e.g. 90 -> "PT1H30M"
+    static toDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes - hours * 60);
+        return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+    }
+
+    static text(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return RecipeJsonLd.text(value['@id'] || value.text || value.name || '');
+        return String(value).replace(/<[^>]*>/g, '').trim();
+    }
+}
+
+// Plain-text recipes:
+//
+//   Vegetable Stir Fry
+//   Serves: 2
+//   Tags: vegetarian, quick
+//   Diet: vegan
+//
+//   Ingredients:
+//   - 200 g Broccoli
+//
+//   Steps:
+//   1. Chop vegetables
+class RecipeText {
+    static toText(recipe) {
+        const lines = [recipe.title, `Serves: ${recipe.servings}`];
+        if ((recipe.tags || []).length > 0) lines.push(`Tags: ${recipe.tags.join(', ')}`);
+        if ((recipe.dietaryFlags || []).length > 0) lines.push(`Diet: ${recipe.dietaryFlags.join(', ')}`);
+        lines.push('', 'Ingredients:', ...(recipe.ingredients || []).map(ing => `- ${ing.toString()}`));
+        lines.push('', 'Steps:', ...(recipe.steps || []).map((step, index) => `${index + 1}. ${step}`));
+        return lines.join('\n') + '\n';
+    }
+
+    // Several recipes may be separated by a line of three or more dashes
+    static splitBlocks(text) {
+        return String(text).split(/^\s*-{3,}\s*$/m).filter(block => block.trim());
+    }
+
+    // Returns { fields, unparsedLines } like RecipeJsonLd.fromJsonLd
+    static parseBlock(block) {
+        const fields = { title: '', ingredients: [], steps: [], tags: [], dietaryFlags: [], servings: 1 };
+        const unparsedLines = [];
+        const list = value => value.split(',').map(item => item.trim()).filter(item => item);
+        let section = null;
+
+        block.split(/\r?\n/).map(line => line.trim()).filter(line => line).forEach(line => {
+            const header = /^(serves|servings|yield|tags|diet|ingredients|steps|instructions|method)\s*:\s*(.*)$/i.exec(line);
+            if (header) {
+                const key = header[1].toLowerCase();
+                if (['serves', 'servings', 'yield'].includes(key)) {
+                    const servings = parseInt(header[2], 10);
+                    if (servings > 0) fields.servings = servings;
+                } else if (key === 'tags') {
+                    fields.tags = list(header[2]);
+                } else if (key === 'diet') {
+                    fields.dietaryFlags = list(header[2]);
+                } else {
+                    section = key === 'ingredients' ? 'ingredients' : 'steps';
+                }
+            } else if (!fields.title && !section) {
+                fields.title = line;
+            } else if (section === 'ingredients') {
+                const ingredient = IngredientLineParser.parse(line);
+                if (ingredient) {
+                    fields.ingredients.push(ingredient);
+                } else {
+                    unparsedLines.push(line);
+                }
+            } else if (section === 'steps') {
+                fields.steps.push(line.replace(/^(\d+[.)]|[-*•])\s*/, ''));
+            }
+        });
+
+        if (!fields.title) throw new ValidationError('Recipe has no title');
+        return { fields, unparsedLines };
+    }
+}
+
+// Domain events: a synchronous publish/subscribe bus. Subscribers run right
+// after the change is saved; one that throws is reported through onError
+// and neither undoes the change nor stops the other subscribers.
+// Default sink for failures nobody is waiting on (a subscriber that throws,
+// a background delivery pass). context says what failed.
+function logError(error, context) {
+    console.error(`${context} failed: ${error.message}`);
+}
+
+class DomainEventBus {
+    // onError(error, context) hears about subscribers that throw; the other
+    // subscribers still run
+    constructor(onError = logError) {
+        this.subscribers = new Map();   // event type or '*' -> [handler]
+        this.onError = onError;
+    }
+
+    // type is one of DOMAIN_EVENT_TYPES or '*' for every event. Returns a
+    // function that removes the subscription.
+    subscribe(type, handler) {
+        if (type !== '*' && !DOMAIN_EVENT_TYPES.includes(type)) throw new ValidationError(`Unknown event type: ${type}`);
+        if (typeof handler !== 'function') throw new ValidationError('Event handler must be a function');
+
+        if (!this.subscribers.has(type)) this.subscribers.set(type, []);
+        this.subscribers.get(type).push(handler);
+        return () => {
+            this.subscribers.set(type, this.subscribers.get(type).filter(existing => existing !== handler));
+        };
+    }
+
+    publish(event) {
+        const handlers = (this.subscribers.get('*') || []).concat(this.subscribers.get(event.type) || []);
+        handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                this.onError(error, `Subscriber to ${event.type}`);
+            }
+        });
+        return event;
+    }
+}
+
+// Who hears about an event, and what their inbox says. The user who caused
+// the event is never notified of it; each other user gets one notification.
+class NotificationPolicy {
+    // [{ userId, message }]
+    static notificationsFor(event, repository) {
+        const actor = event.actorId ? repository.getUser(event.actorId) : null;
+        const who = actor ? actor.name : 'Someone';
+        const data = event.data;
+        const notes = [];
+        const notify = (userIds, message) => userIds.forEach(userId => {
+            if (userId && userId !== event.actorId && !notes.some(note => note.userId === userId)) {
+                notes.push({ userId, message });
+            }
+        });
+
+        switch (event.type) {
+            case 'RecipeRated':
+                notify([data.authorId], `${who} rated your recipe "${data.title}" ${data.value}/5`);
+                NotificationPolicy.plansUsing(data.recipeId, repository).forEach(plan => {
+                    notify(NotificationPolicy.planMembers(plan), `${who} rated "${data.title}" from your meal plan "${plan.name}" ${data.value}/5`);
+                });
+                break;
+            case 'RecipeRatingRemoved':
+                notify([data.userId], `${who} removed your rating of "${data.title}"`);
+                break;
+            case 'RecipeRatingHidden':
+                notify([data.userId], `${who} hid your rating of "${data.title}"`);
+                break;
+            case 'RecipeRatingShown':
+                notify([data.userId], `${who} showed your rating of "${data.title}" again`);
+                break;
+            case 'RecipeUpdated':
+                NotificationPolicy.plansUsing(data.recipeId, repository).forEach(plan => {
+                    notify(NotificationPolicy.planMembers(plan), `${who} updated "${data.title}" from your meal plan "${plan.name}"`);
+                });
+                break;
+            case 'RecipeDeleted':
+                data.mealPlans.forEach(plan => {
+                    notify(plan.memberIds, `${who} deleted "${data.title}"; it was removed from your meal plan "${plan.name}"`);
+                });
+                break;
+            case 'RecipeForked':
+                notify([data.upstreamAuthorId], `${who} forked your recipe "${data.upstreamTitle}"`);
+                break;
+            case 'RecipeShared':
+                notify([data.userId], `${who} shared the recipe "${data.title}" with you`);
+                break;
+            case 'CookbookShared':
+                notify([data.userId], `${who} shared the cookbook "${data.name}" with you`);
+                break;
+            case 'MealPlanShared':
+                notify([data.userId], `${who} shared the meal plan "${data.name}" with you as ${data.role}`);
+                break;
+            case 'MealPlanUnshared':
+                notify([data.userId], `${who} stopped sharing the meal plan "${data.name}" with you`);
+                break;
+            case 'MealPlanDeleted':
+                notify(data.memberIds, `${who} deleted the meal plan "${data.name}"`);
+                break;
+            case 'MealPlanCreated':
+                notify([data.ownerId], `${who} copied the meal plan "${data.name}" into your meal plans`);
+                break;
+            case 'EntryAdded':
+            case 'EntryUpdated':
+            case 'EntryRemoved': {
+                const plan = repository.getMealPlan(data.mealPlanId);
+                if (!plan) break;
+                const verb = { EntryAdded: 'added', EntryUpdated: 'changed', EntryRemoved: 'removed' }[event.type];
+                const preposition = { EntryAdded: 'to', EntryUpdated: 'in', EntryRemoved: 'from' }[event.type];
+                notify(NotificationPolicy.planMembers(plan),
+                    `${who} ${verb} "${data.recipeTitle}" (${data.date} ${data.slot}) ${preposition} your meal plan "${plan.name}"`);
+                break;
+            }
+            default:
+                break;
+        }
+        return notes;
+    }
+
+    // Owner first, then everyone it is shared with
+    static planMembers(plan) {
+        return [plan.userId].concat(plan.sharedWith.map(share => share.userId));
+    }
+
+    static plansUsing(recipeId, repository) {
+        return repository.getAllMealPlans().filter(plan => plan.getRecipeIds().includes(recipeId));
+    }
+}
+
+// Webhook delivery through an outbox: events are queued as OutboxMessages
+// when they happen and POSTed later, so a slow or broken endpoint never
+// holds up the change. Failed attempts are retried with a doubling delay
+// (retryDelayMs, 2 x retryDelayMs, ...) until maxAttempts is reached.
+//
+// A user's webhook may only reach public addresses: loopback, private,
+// link-local and similar hosts are refused when it is added and again when
+// the name is resolved for delivery, unless listed in allowedHosts.
+// Application-wide webhooks are configured by the operator and may go anywhere.
+const WEBHOOK_DELIVERY_DEFAULTS = { maxAttempts: 5, retryDelayMs: 1000, timeoutMs: 5000, allowedHosts: [] };
+
+// [network, prefix length] pairs no user webhook may reach
+const WEBHOOK_BLOCKED_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+class WebhookOutbox {
+    // options: { maxAttempts, retryDelayMs, timeoutMs, allowedHosts }
+    constructor(repository, options = {}) {
+        this.repository = repository;
+        this.options = Object.assign({}, WEBHOOK_DELIVERY_DEFAULTS, options);
+        this.delivering = null;
+    }
+
+    // Whether a user's webhook may be sent to hostname (as written in the URL).
+    // Names are checked again once resolved, in post().
+    allowsHost(hostname) {
+        if (this.isAllowlisted(hostname)) return true;
+        const host = WebhookOutbox.normalizeHost(hostname);
+        if (host === 'localhost' || host.endsWith('.localhost')) return false;
+        return !net.isIP(host) || !WebhookOutbox.isPrivateAddress(host);
+    }
+
+    isAllowlisted(hostname) {
+        return this.options.allowedHosts.includes(WebhookOutbox.normalizeHost(hostname));
+    }
+
+    // Lower case, without IPv6 brackets or a trailing root dot
+    static normalizeHost(hostname) {
+        return hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    }
+
+    // dns.lookup that refuses names resolving to non-public addresses
+    static publicLookup(hostname, lookupOptions, callback) {
+        dns.lookup(hostname, lookupOptions, (error, address, family) => {
+            if (error) return callback(error);
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(entry => WebhookOutbox.isPrivateAddress(entry.address));
+            if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+            callback(null, address, family);
+        });
+    }
+
+    static isPrivateAddress(address) {
+        if (net.isIPv4(address)) {
+            const toNumber = ip => ip.split('.').reduce((sum, part) => sum * 256 + Number(part), 0);
+            return WEBHOOK_BLOCKED_IPV4.some(([network, bits]) => {
+                const size = Math.pow(2, 32 - bits);
+                return Math.floor(toNumber(address) / size) === Math.floor(toNumber(network) / size);
+            });
+        }
+        const ip = address.toLowerCase();
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+        if (mapped) return WebhookOutbox.isPrivateAddress(mapped[1]);
+        // The URL parser writes mapped IPv4 in hex: ::ffff:7f00:1
+        const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ip);
+        if (mappedHex) {
+            const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+            return WebhookOutbox.isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+    }
+
+    // Queues the event for every webhook that wants it. recipientIds are the
+    // users notified of the event.
+    enqueue(event, recipientIds = []) {
+        return this.repository.getAllWebhooks()
+            .filter(webhook => webhook.accepts(event.type))
+            .filter(webhook => !webhook.userId || webhook.userId === event.actorId || recipientIds.includes(webhook.userId))
+            .map(webhook => {
+                const message = new OutboxMessage(null, webhook.id, event);
+                this.repository.saveOutboxMessage(message);
+                return message;
+            });
+    }
+
+    // One pass over the messages that are due, oldest first and one at a
+    // time. Each webhook gets its events in order: while one of its messages
+    // waits for a retry, the later ones wait too (a message that failed for
+    // good no longer holds them up). Resolves to { attempted, delivered,
+    // retrying, failed }. A call made while a pass is running gets that
+    // pass's result.
+    deliverDue(asOf = new Date()) {
+        if (this.delivering) return this.delivering;
+
+        const waiting = new Set();   // webhook ids with an earlier message still pending
+        const due = this.repository.getOutboxMessages()
+            .filter(message => message.status === 'pending')
+            .filter(message => {
+                if (waiting.has(message.webhookId)) return false;
+                if (new Date(message.nextAttemptAt) <= asOf) return true;
+                waiting.add(message.webhookId);
+                return false;
+            });
+        const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+        this.delivering = due
+            .reduce((previous, message) => previous
+                .then(() => {
+                    if (waiting.has(message.webhookId)) return;
+                    summary.attempted += 1;
+                    return this.attempt(message).then(() => {
+                        if (message.status === 'pending') waiting.add(message.webhookId);
+                        summary[message.status === 'pending' ? 'retrying' : message.status] += 1;
+                    });
+                }), Promise.resolve())
+            .then(() => summary)
+            .finally(() => {
+                this.delivering = null;
+            });
+        return this.delivering;
+    }
+
+    attempt(message) {
+        const webhook = this.repository.getWebhook(message.webhookId);
+        if (!webhook) {
+            message.status = 'failed';
+            message.lastError = 'Webhook was removed';
+            this.repository.saveOutboxMessage(message);
+            return Promise.resolve(message);
+        }
+
+        message.attempts += 1;
+        return this.post(webhook, message)
+            .then(statusCode => {
+                if (statusCode < 200 || statusCode >= 300) throw new Error(`HTTP ${statusCode}`);
+                message.status = 'delivered';
+                message.deliveredAt = new Date().toISOString();
+                message.lastError = null;
+            })
+            .catch(error => {
+                message.lastError = error.message;
+                if (message.attempts >= this.options.maxAttempts) {
+                    message.status = 'failed';
+                } else {
+                    const delay = this.options.retryDelayMs * Math.pow(2, message.attempts - 1);
+                    message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                }
+            })
+            .then(() => {
+                this.repository.saveOutboxMessage(message);
+                return message;
+            });
+    }
+
+    // Resolves to the response status code; rejects on network errors and
+    // timeouts. With a secret the body is signed:
+    // X-Cooking-Plan-Signature: sha256=<hex HMAC of the body>
+    post(webhook, message) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(webhook.url);
+            const body = JSON.stringify(message.event);
+            const headers = {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'X-Cooking-Plan-Event': message.event.type,
+                'X-Cooking-Plan-Delivery': message.id
+            };
+            if (webhook.secret) {
+                headers['X-Cooking-Plan-Signature'] = `sha256=${crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')}`;
+            }
+
+            const requestOptions = { method: 'POST', headers, timeout: this.options.timeoutMs };
+            if (webhook.userId && !this.isAllowlisted(url.hostname)) {
+                if (!this.allowsHost(url.hostname)) {
+                    reject(new Error(`${url.hostname} is not a public address`));
+                    return;
+                }
+                requestOptions.lookup = WebhookOutbox.publicLookup;
+            }
+
+            const client = url.protocol === 'https:' ? https : http;
+            const request = client.request(url, requestOptions, response => {
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+            });
+            request.on('timeout', () => request.destroy(new Error(`No response within ${this.options.timeoutMs} ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+// -----------------------------
+// 4. FACADE PATTERN: Cooking Plan Application
+// -----------------------------
+
+class CookingPlanApplication {
+    // options: { sampleData } seeds the sample users and recipes into an
+    // empty repository (a file store keeps what it already has);
+    // { webhooks: [{ url, eventTypes, secret }] } registers application-wide
+    // webhooks and { webhookDelivery } tunes their WebhookOutbox.
+    // { onError(error, context) } hears about failures no caller sees, like a
+    // throwing event subscriber or a background delivery pass.
+    constructor(repositoryType = 'memory', repositoryOptions = {}, options = {}) {
+        // Use Factory Pattern to create repository
+        this.repository = RepositoryFactory.createRepository(repositoryType, repositoryOptions);
+        this.sessionToken = null;
+        this.priceCatalog = new PriceCatalog();
+        this.storeSections = new StoreSectionMap();
+        this.onError = options.onError || logError;
+        this.events = new DomainEventBus((error, context) => this.onError(error, context));
+        this.outbox = new WebhookOutbox(this.repository, options.webhookDelivery || {});
+        this.events.subscribe('*', event => this.recordEvent(event));
+        
+        if (options.sampleData && this.repository.getAllRecipes().length === 0) {
+            this.repository.transaction(() => this.initializeSampleData());
+        }
+        (options.webhooks || []).forEach(config => {
+            this.registerWebhook(null, config.url, config.eventTypes || ['*'], config.secret || null);
+        });
+    }
+    
+    // User Management
+    register(name, email, password) {
+        const normalizedEmail = (email || '').trim().toLowerCase();
+        if (!name || !normalizedEmail.includes('@')) throw new ValidationError('Name and a valid email are required');
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new ValidationError('Password must be at least 8 characters');
+        }
+        if (this.repository.getUserByEmail(normalizedEmail)) throw new ValidationError('Email already registered');
+        
+        const user = new User(null, name, normalizedEmail);
+        user.setPassword(password);
+        const userId = this.repository.saveUser(user);
+        return this.repository.getUser(userId);
+    }
+    
+    // Checks the password and opens a new session; returns its token.
+    // Several sessions can be open at once, one per token.
+    authenticate(email, password) {
+        const user = this.repository.getUserByEmail((email || '').trim().toLowerCase());
+        if (!user || !user.checkPassword(password)) throw new AuthenticationError('Invalid email or password');
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + CookingPlanApplication.SESSION_TTL_MS).toISOString();
+        this.repository.saveSession(new Session(Session.hashToken(token), user.id, expiresAt));
+        return token;
+    }
+    
+    // Logs this application instance in (see withSession for other sessions)
+    login(email, password) {
+        this.sessionToken = this.authenticate(email, password);
+        return this.getCurrentUser();
+    }
+    
+    logout() {
+        if (this.sessionToken) {
+            this.repository.deleteSession(Session.hashToken(this.sessionToken));
+        }
+        this.sessionToken = null;
+    }
+    
+    // A view of the application acting for the session behind `token`. It
+    // shares this application's repository; only the session differs.
+    withSession(token) {
+        const view = Object.create(this);
+        view.sessionToken = token;
+        return view;
+    }
+    
+    getSessionToken() {
+        return this.sessionToken || null;
+    }
+    
+    getCurrentUser() {
+        if (!this.sessionToken) return null;
+        
+        const session = this.repository.getSession(Session.hashToken(this.sessionToken));
+        if (!session) return null;
+        if (session.isExpired()) {
+            this.repository.deleteSession(session.tokenHash);
+            return null;
+        }
+        return this.repository.getUser(session.userId) || null;
+    }
+    
+    isLoggedIn() {
+        return this.getCurrentUser() !== null;
+    }
+    
+    // Recipe Management
+    createRecipe(title, ingredients, steps, tags = [], dietaryFlags = [], servings = 1, visibility = 'private') {
+        const user = this.requireUser();
+        if (!title) throw new ValidationError('Title is required');
+        if (!(servings > 0)) throw new ValidationError('Servings must be a positive number');
+        if (!VISIBILITIES.includes(visibility)) throw new ValidationError(`Unknown visibility: ${visibility}`);
+        
+        const recipe = new Recipe(null, title, ingredients, steps, tags, dietaryFlags, servings);
+        RecipeStep.validateList(recipe.steps);
+        recipe.authorId = user.id;
+        recipe.visibility = visibility;
+        this.repository.saveRecipe(recipe);
+        this.repository.saveRecipeRevision(new RecipeRevision(null, recipe.id, 1, user.id, RecipeRevision.snapshot(recipe)));
+        this.emit('RecipeCreated', { recipeId: recipe.id, title: recipe.title, visibility });
+        return recipe;
+    }
+    
+    getRecipe(id) {
+        return this.requireRecipe(id);
+    }
+    
+    // Every recipe the current user may see
+    getAllRecipes() {
+        return this.repository.getAllRecipes().filter(this.recipeVisibilityFilter());
+    }
+    
+    getMyRecipes() {
+        const user = this.requireUser();
+        return this.repository.getAllRecipes().filter(recipe => recipe.authorId === user.id);
+    }
+    
+    // changes may hold title, ingredients, steps, tags, dietaryFlags,
+    // servings, visibility. Only the author may edit. A content change
+    // records a new RecipeRevision.
+    updateRecipe(recipeId, changes) {
+        return this.applyRecipeChanges(recipeId, changes, null);
+    }
+    
+    applyRecipeChanges(recipeId, changes, restoredFrom) {
+        const user = this.requireUser();
+        const recipe = this.requireOwnRecipe(recipeId);
+        if (changes.visibility !== undefined && !VISIBILITIES.includes(changes.visibility)) {
+            throw new ValidationError(`Unknown visibility: ${changes.visibility}`);
+        }
+        if (changes.title !== undefined && !changes.title) throw new ValidationError('Title is required');
+        if (changes.servings !== undefined && !(changes.servings > 0)) {
+            throw new ValidationError('Servings must be a positive number');
+        }
+        const steps = changes.steps !== undefined ? RecipeStep.fromList(changes.steps) : recipe.steps;
+        RecipeStep.validateList(steps);
+        
+        const previous = this.recipeBaseline(recipe);
+        RECIPE_EDITABLE_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) recipe[field] = field === 'steps' ? steps : changes[field];
+        });
+        
+        const snapshot = RecipeRevision.snapshot(recipe);
+        const diff = RecipeRevision.diff(previous.snapshot, snapshot);
+        if (Object.keys(diff).length > 0) {
+            recipe.revision = previous.number + 1;
+            this.repository.saveRecipeRevision(new RecipeRevision(null, recipe.id, recipe.revision, user.id, snapshot, diff, restoredFrom));
+        }
+        this.repository.saveRecipe(recipe);
+        if (Object.keys(diff).length > 0) {
+            this.emit('RecipeUpdated', {
+                recipeId: recipe.id, title: recipe.title, revision: recipe.revision, fields: Object.keys(diff), restoredFrom
+            });
+        }
+        return recipe;
+    }
+    
+    // The recipe's latest revision, recorded first for recipes that predate
+    // revision history
+    recipeBaseline(recipe) {
+        const existing = this.repository.getRecipeRevision(recipe.id, recipe.revision);
+        if (existing) return existing;
+        
+        const baseline = new RecipeRevision(null, recipe.id, recipe.revision, recipe.authorId, RecipeRevision.snapshot(recipe));
+        this.repository.saveRecipeRevision(baseline);
+        return baseline;
+    }
+    
+    // Revisions
+    // Newest first
+    getRecipeRevisions(recipeId) {
+        const recipe = this.requireRecipe(recipeId);
+        this.recipeBaseline(recipe);
+        return this.repository.getRecipeRevisions(recipeId).reverse();
+    }
+    
+    getRecipeRevision(recipeId, number) {
+        this.requireRecipe(recipeId);
+        const revision = this.repository.getRecipeRevision(recipeId, number);
+        if (!revision) throw new NotFoundError('Revision not found');
+        return revision;
+    }
+    
+    // Field-level diff between two revisions (to defaults to the latest)
+    compareRecipeRevisions(recipeId, fromNumber, toNumber = null) {
+        const recipe = this.requireRecipe(recipeId);
+        const from = this.getRecipeRevision(recipeId, fromNumber);
+        const to = this.getRecipeRevision(recipeId, toNumber === null ? recipe.revision : toNumber);
+        return { recipeId, from: from.number, to: to.number, changes: RecipeRevision.diff(from.snapshot, to.snapshot) };
+    }
+    
+    // Makes an old revision's content current again, as a new revision
+    restoreRecipeRevision(recipeId, number) {
+        const revision = this.getRecipeRevision(recipeId, number);
+        return this.applyRecipeChanges(recipeId, JSON.parse(JSON.stringify(revision.snapshot)), revision.number);
+    }
+    
+    // Forks
+    // Copies a visible recipe into the current user's own (private)
+    // recipes, remembering where it came from
+    forkRecipe(recipeId, title = null) {
+        const user = this.requireUser();
+        const original = this.requireRecipe(recipeId);
+        this.recipeBaseline(original);
+        
+        const snapshot = RecipeRevision.snapshot(original);
+        const fork = this.createRecipe(title || original.title,
+            snapshot.ingredients.map(ing => new Ingredient(ing.name, ing.amount, ing.unit)),
+            snapshot.steps, snapshot.tags, snapshot.dietaryFlags, snapshot.servings);
+        fork.forkedFrom = { recipeId: original.id, revision: original.revision, authorId: original.authorId };
+        this.repository.saveRecipe(fork);
+        this.emit('RecipeForked', {
+            recipeId: fork.id, title: fork.title, upstreamRecipeId: original.id, upstreamTitle: original.title,
+            upstreamAuthorId: original.authorId, upstreamRevision: original.revision
+        });
+        return fork;
+    }
+    
+    // What changed upstream since the fork was made:
+    // { upstreamRecipeId, upstreamTitle, baseRevision, latestRevision,
+    //   upToDate, revisions: [RecipeRevision newer than the base], changes }
+    getUpstreamChanges(recipeId) {
+        const fork = this.requireRecipe(recipeId);
+        if (!fork.forkedFrom) throw new ValidationError('Recipe is not a fork');
+        
+        const upstream = this.repository.getRecipe(fork.forkedFrom.recipeId);
+        if (!upstream || !this.canViewRecipe(upstream)) throw new NotFoundError('Upstream recipe is no longer available');
+        const latest = this.recipeBaseline(upstream);
+        const base = this.repository.getRecipeRevision(upstream.id, fork.forkedFrom.revision) || latest;
+        
+        return {
+            upstreamRecipeId: upstream.id,
+            upstreamTitle: upstream.title,
+            baseRevision: base.number,
+            latestRevision: latest.number,
+            upToDate: base.number === latest.number,
+            revisions: this.repository.getRecipeRevisions(upstream.id).filter(revision => revision.number > base.number),
+            changes: RecipeRevision.diff(base.snapshot, latest.snapshot)
+        };
+    }
+    
+    // A recipe still used by meal plans is only deleted with { cascade: true },
+    // which also removes those plan entries.
+    deleteRecipe(recipeId, options = {}) {
+        const user = this.requireUser();
+        const recipe = this.requireOwnRecipe(recipeId);
+        
+        const usingPlans = this.repository.getAllMealPlans().filter(plan => plan.getRecipeIds().includes(recipeId));
+        if (usingPlans.length > 0 && !options.cascade) {
+            throw new ConflictError(`Recipe is used by ${usingPlans.length} meal plan(s)`);
+        }
+        
+        this.repository.transaction(() => {
+            usingPlans.forEach(plan => {
+                const removed = plan.removeRecipe(recipeId);
+                plan.recordChange(user.id, 'recipeDeleted', { recipeId, entriesRemoved: removed });
+                this.repository.saveMealPlan(plan);
+            });
+            this.repository.getCookbooksWithRecipe(recipeId)
+                .filter(cookbook => cookbook.removeRecipe(recipeId))
+                .forEach(cookbook => this.repository.saveCookbook(cookbook));
+            this.repository.deleteRecipe(recipeId);
+            this.repository.deleteRecipeRevisions(recipeId);
+            this.emit('RecipeDeleted', {
+                recipeId,
+                title: recipe.title,
+                mealPlans: usingPlans.map(plan => ({ id: plan.id, name: plan.name, memberIds: NotificationPolicy.planMembers(plan) }))
+            });
+        });
+        return { recipeId, affectedMealPlans: usingPlans.map(plan => plan.id) };
+    }
+    
+    scaleRecipe(recipeId, servings) {
+        const recipe = this.requireRecipe(recipeId);
+        if (!(servings > 0)) throw new ValidationError('Servings must be a positive number');
+        
+        return recipe.scaleIngredients(servings);
+    }
+    
+    // Ratings
+    // One rating per user per recipe; rating again replaces it. Returns the Rating.
+    rateRecipe(recipeId, rating, review = '') {
+        const user = this.requireUser();
+        const recipe = this.requireRecipe(recipeId);
+        if (recipe.authorId === user.id) throw new ForbiddenError('You cannot rate your own recipe');
+        if (typeof review !== 'string') throw new ValidationError('Review must be text');
+        
+        const saved = recipe.rate(user.id, rating, review.trim());
+        if (!saved) throw new ValidationError('Rating must be a whole number from 1 to 5');
+        this.repository.saveRecipe(recipe);
+        this.emit('RecipeRated', {
+            recipeId: recipe.id, title: recipe.title, authorId: recipe.authorId, value: saved.value, review: saved.review
+        });
+        return saved;
+    }
+    
+    removeRecipeRating(recipeId) {
+        const user = this.requireUser();
+        const recipe = this.requireRecipe(recipeId);
+        if (!recipe.removeRating(user.id)) throw new NotFoundError('You have not rated this recipe');
+        
+        this.repository.saveRecipe(recipe);
+        this.emit('RecipeRatingRemoved', { recipeId: recipe.id, title: recipe.title, authorId: recipe.authorId, userId: user.id });
+        return recipe;
+    }
+    
+    // Lets the recipe's author deal with someone else's rating: 'hide' keeps
+    // it out of the average and the listing, 'show' undoes that and 'remove'
+    // deletes it. Returns the recipe.
+    moderateRecipeRating(recipeId, userId, action) {
+        const recipe = this.requireOwnRecipe(recipeId);
+        if (!RATING_MODERATION_ACTIONS.includes(action)) {
+            throw new ValidationError(`Action must be one of: ${RATING_MODERATION_ACTIONS.join(', ')}`);
+        }
+        const rating = recipe.getRating(userId);
+        if (!rating) throw new NotFoundError('Rating not found');
+        
+        if (action === 'remove') {
+            recipe.removeRating(userId);
+        } else {
+            rating.hidden = action === 'hide';
+            recipe.updateAverage();
+        }
+        this.repository.saveRecipe(recipe);
+        const type = { hide: 'RecipeRatingHidden', show: 'RecipeRatingShown', remove: 'RecipeRatingRemoved' }[action];
+        this.emit(type, { recipeId: recipe.id, title: recipe.title, authorId: recipe.authorId, userId });
+        return recipe;
+    }
+    
+    // Newest first, with the summary: { summary, ratings: [{ ...Rating, userName }] }.
+    // Hidden ratings are left out, except for the recipe's author.
+    getRecipeRatings(recipeId) {
+        const recipe = this.requireRecipe(recipeId);
+        const viewer = this.getCurrentUser();
+        const ratings = (viewer && viewer.id === recipe.authorId ? recipe.ratings : recipe.getVisibleRatings())
+            .slice()
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(rating => {
+                const user = rating.userId ? this.repository.getUser(rating.userId) : null;
+                return Object.assign({}, rating, { userName: user ? user.name : null });
+            });
+        return { summary: recipe.getRatingSummary(), ratings };
+    }
+    
+    getRatingSummary(recipeId) {
+        return this.requireRecipe(recipeId).getRatingSummary();
+    }
+    
+    // Highest average first, more ratings breaking ties.
+    // options: { limit = 10, minCount = 1 }
+    getTopRatedRecipes(options = {}) {
+        const limit = options.limit === undefined ? 10 : options.limit;
+        const minCount = options.minCount === undefined ? 1 : options.minCount;
+        return this.getAllRecipes()
+            .map(recipe => ({ recipe, summary: recipe.getRatingSummary() }))
+            .filter(item => item.summary.count >= minCount)
+            .sort((a, b) => b.recipe.rating - a.recipe.rating || b.summary.count - a.summary.count ||
+                a.recipe.title.localeCompare(b.recipe.title))
+            .slice(0, limit);
+    }
+    
+    // The current user's ratings, most recently changed first: [{ recipe, rating }]
+    getMyRatings() {
+        const user = this.requireUser();
+        return this.getAllRecipes()
+            .map(recipe => ({ recipe, rating: recipe.getRating(user.id) }))
+            .filter(item => item.rating)
+            .sort((a, b) => b.rating.updatedAt.localeCompare(a.rating.updatedAt));
+    }
+    
+    // Matching recipes, best first. options are the findRecipes criteria;
+    // unlike findRecipes all results are returned unless pageSize is given.
+    searchRecipes(query, options = {}) {
+        const criteria = Object.assign({ pageSize: Infinity }, options, { query });
+        return this.findRecipes(criteria).results.map(result => result.recipe);
+    }
+    
+    // Structured search: { query, includeIngredients, excludeIngredients,
+    // tags, dietaryFlags, minRating, sort, page, pageSize }. Returns a page
+    // of { recipe, score } with total/page/pageSize/totalPages.
+    findRecipes(criteria = {}) {
+        return this.repository.searchRecipes(Object.assign({}, criteria, { filter: this.recipeVisibilityFilter() }));
+    }
+    
+    // Visibility
+    setRecipeVisibility(recipeId, visibility) {
+        return this.updateRecipe(recipeId, { visibility });
+    }
+    
+    // Lets one user see a 'shared' recipe (the recipe becomes 'shared' if it was private)
+    shareRecipe(recipeId, targetUserEmail) {
+        const recipe = this.requireOwnRecipe(recipeId);
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        if (targetUser.id === recipe.authorId) throw new ValidationError('Cannot share a recipe with its author');
+        
+        if (!recipe.sharedWith.includes(targetUser.id)) recipe.sharedWith.push(targetUser.id);
+        if (recipe.visibility === 'private') recipe.visibility = 'shared';
+        this.repository.saveRecipe(recipe);
+        this.emit('RecipeShared', { recipeId: recipe.id, title: recipe.title, userId: targetUser.id });
+        return recipe;
+    }
+    
+    unshareRecipe(recipeId, targetUserEmail) {
+        const recipe = this.requireOwnRecipe(recipeId);
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        if (!recipe.sharedWith.includes(targetUser.id)) throw new NotFoundError('Recipe is not shared with that user');
+        
+        recipe.sharedWith = recipe.sharedWith.filter(userId => userId !== targetUser.id);
+        this.repository.saveRecipe(recipe);
+        return recipe;
+    }
+    
+    canViewRecipe(recipe) {
+        return this.recipeVisibilityFilter()(recipe);
+    }
+    
+    // recipe => boolean for the current user (anyone signed out sees public
+    // recipes only). A 'shared' recipe is also visible through a cookbook of
+    // its author's that the user can see.
+    recipeVisibilityFilter() {
+        const user = this.getCurrentUser();
+        const userId = user ? user.id : null;
+        
+        return recipe => recipe.isVisibleTo(userId) ||
+            (recipe.visibility === 'shared' && this.repository.getCookbooksWithRecipe(recipe.id)
+                .some(cookbook => cookbook.userId === recipe.authorId && cookbook.isVisibleTo(userId)));
+    }
+    
+    // "Cook from what I have": recipes ranked by how much of their ingredient
+    // list is covered by `available` (Ingredients or names; the user's
+    // pantry when null). options: { dietProfile, maxMissing, checkAmounts, limit }
+    // With checkAmounts an ingredient we have too little of counts as missing.
+    suggestRecipesFromIngredients(available = null, options = {}) {
+        const onHand = available === null
+            ? this.getPantry().filter(item => !item.isExpired()).map(item => item.toIngredient())
+            : available.map(item => typeof item === 'string' ? new Ingredient(item, 0) : item);
+        
+        const profile = options.dietProfile ? DietProfileRegistry.get(options.dietProfile) : null;
+        if (options.dietProfile && !profile) throw new ValidationError(`Unknown diet profile: ${options.dietProfile}`);
+        const maxMissing = options.maxMissing === undefined ? Infinity : options.maxMissing;
+        const haveNames = new Set(onHand.map(ing => UnitConverter.normalizeIngredientName(ing.name)));
+        
+        const suggestions = this.getAllRecipes()
+            .filter(recipe => (recipe.ingredients || []).length > 0)
+            .filter(recipe => !profile || profile.allowsRecipe(recipe))
+            .map(recipe => {
+                const matchedIngredients = [];
+                const missingIngredients = [];
+                recipe.ingredients.forEach(ing => {
+                    if (!haveNames.has(UnitConverter.normalizeIngredientName(ing.name))) {
+                        missingIngredients.push(ing);
+                        return;
+                    }
+                    const shortfall = options.checkAmounts ? UnitConverter.subtractIngredients([ing], onHand) : [];
+                    if (shortfall.length > 0) {
+                        missingIngredients.push(shortfall[0]);
+                    } else {
+                        matchedIngredients.push(ing.name);
+                    }
+                });
+                return {
+                    recipe,
+                    coverage: Math.round(matchedIngredients.length / recipe.ingredients.length * 100) / 100,
+                    matchedIngredients,
+                    missingIngredients
+                };
+            })
+            .filter(suggestion => suggestion.matchedIngredients.length > 0)
+            .filter(suggestion => suggestion.missingIngredients.length <= maxMissing)
+            .sort((a, b) =>
+                b.coverage - a.coverage ||
+                a.missingIngredients.length - b.missingIngredients.length ||
+                b.recipe.rating - a.recipe.rating
+            );
+        
+        return options.limit ? suggestions.slice(0, options.limit) : suggestions;
+    }
+    
+    // Recipe Import/Export
+    parseIngredientLines(lines) {
+        const ingredients = [];
+        const unparsedLines = [];
+        lines.forEach(line => {
+            const ingredient = IngredientLineParser.parse(line);
+            if (ingredient) {
+                ingredients.push(ingredient);
+            } else if (String(line).trim()) {
+                unparsedLines.push(line);
+            }
+        });
+        return { ingredients, unparsedLines };
+    }
+    
+    exportRecipe(recipeId, format = 'jsonld') {
+        const recipe = this.requireRecipe(recipeId);
+        switch (format) {
+            case 'jsonld':
+                return RecipeJsonLd.toJsonLd(recipe);
+            case 'text':
+                return RecipeText.toText(recipe);
+            default:
+                throw new ValidationError(`Unknown recipe format: ${format}`);
+        }
+    }
+    
+    // Imports every recipe in a JSON-LD document (string or parsed) or a
+    // plain-text file. A bad recipe or ingredient line is reported and
+    // skipped rather than failing the batch:
+    // { imported: [Recipe], unparsedLines: [{ recipe, line }], errors: [{ recipe, message }] }
+    importRecipes(input, format = 'jsonld') {
+        this.requireUser();
+        const result = { imported: [], unparsedLines: [], errors: [] };
+        
+        let parsed;
+        if (format === 'jsonld') {
+            let document = input;
+            if (typeof input === 'string') {
+                try {
+                    document = JSON.parse(input);
+                } catch (error) {
+                    throw new ValidationError(`Invalid JSON-LD: ${error.message}`);
+                }
+            }
+            parsed = RecipeJsonLd.findRecipeNodes(document).map(node => {
+                try {
+                    return RecipeJsonLd.fromJsonLd(node);
+                } catch (error) {
+                    result.errors.push({ recipe: RecipeJsonLd.text(node.name) || null, message: error.message });
+                    return null;
+                }
+            });
+        } else if (format === 'text') {
+            parsed = RecipeText.splitBlocks(input).map(block => {
+                try {
+                    return RecipeText.parseBlock(block);
+                } catch (error) {
+                    result.errors.push({ recipe: null, message: error.message });
+                    return null;
+                }
+            });
+        } else {
+            throw new ValidationError(`Unknown recipe format: ${format}`);
+        }
+        
+        this.repository.transaction(() => {
+            parsed.filter(item => item).forEach(({ fields, unparsedLines }) => {
+                try {
+                    const recipe = this.createRecipe(fields.title, fields.ingredients, fields.steps,
+                        fields.tags, fields.dietaryFlags, fields.servings);
+                    result.imported.push(recipe);
+                    unparsedLines.forEach(line => result.unparsedLines.push({ recipe: fields.title, line }));
+                } catch (error) {
+                    result.errors.push({ recipe: fields.title, message: error.message });
+                }
+            });
+        });
+        return result;
+    }
+    
+    // Meal Plan Management
+    // Dates are ISO 'YYYY-MM-DD'; without them the plan covers this week
+    createMealPlan(name, startDate = null, endDate = null) {
+        const user = this.requireUser();
+        if (!name) throw new ValidationError('Name is required');
+        const range = this.planDateRange(startDate, endDate);
+        
+        const mealPlan = new MealPlan(null, user.id, name, [], range.startDate, range.endDate);
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('MealPlanCreated', {
+            mealPlanId: mealPlan.id, name: mealPlan.name, ownerId: user.id, startDate: mealPlan.startDate, endDate: mealPlan.endDate
+        });
+        return mealPlan;
+    }
+    
+    // Validated { startDate, endDate } for a new plan; without a start date, this week
+    planDateRange(startDate = null, endDate = null) {
+        [startDate, endDate].forEach(date => {
+            if (date !== null && !PlanCalendar.isISODate(date)) throw new ValidationError(`Not an ISO date: ${date}`);
+        });
+        if (startDate && endDate && endDate < startDate) throw new ValidationError('End date is before start date');
+        
+        const start = startDate || PlanCalendar.startOfWeek();
+        return { startDate: start, endDate: endDate || PlanCalendar.addDays(start, 6) };
+    }
+    
+    // Builds a normal (editable) meal plan from the recipe repository.
+    // options: { name, startDate, endDate, days, slots, servings,
+    // dietProfiles, minRating, avoidRepeatDays, maxTagStreak,
+    // preferSharedIngredients, seed }. days (ISO dates or weekdays)
+    // limits the plan to those days; otherwise every date in range is filled.
+    generateMealPlan(options = {}) {
+        this.requireUser();
+        const slots = options.slots || ['dinner'];
+        slots.forEach(slot => {
+            if (!MEAL_SLOTS[slot]) throw new ValidationError(`Unknown meal slot: ${slot}`);
+        });
+        
+        // Days and picks are settled before the plan is saved, so bad options leave nothing behind
+        const generator = new MealPlanGenerator(this.getAllRecipes(), options);
+        const range = this.planDateRange(options.startDate || null, options.endDate || null);
+        const dates = options.days
+            ? options.days.map(day => PlanCalendar.resolveDay(day, range.startDate, range.endDate)).sort()
+            : PlanCalendar.datesBetween(range.startDate, range.endDate);
+        const picks = generator.generate(dates, slots);
+        
+        return this.repository.transaction(() => {
+            const mealPlan = this.createMealPlan(options.name || 'Generated Meal Plan', range.startDate, range.endDate);
+            try {
+                picks.forEach(({ date, slot, recipe }) => {
+                    this.addToMealPlan(mealPlan.id, date, recipe.id, options.servings || null, slot);
+                });
+            } catch (error) {
+                // Through the facade, so subscribers that saw the plan created see it go
+                this.deleteMealPlan(mealPlan.id);
+                throw error;
+            }
+            return mealPlan;
+        });
+    }
+    
+    // day is an ISO date or a weekday name ('Monday' is the plan's first Monday)
+    // revision pins the entry to that recipe revision (null follows the latest)
+    addToMealPlan(mealPlanId, day, recipeId, servings = null, slot = 'dinner', revision = null) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'editor');
+        const recipe = this.requireRecipe(recipeId);
+        if (servings !== null && !(servings > 0)) throw new ValidationError('Servings must be a positive number');
+        if (revision !== null) this.requirePinnableRevision(recipe, revision);
+        
+        const user = this.getCurrentUser();
+        const entry = new PlanEntry(day, recipeId, servings, slot);
+        entry.addedBy = user.id;
+        entry.recipeRevision = revision;
+        mealPlan.addEntry(entry);
+        mealPlan.recordChange(user.id, 'entryAdded', { date: entry.date, slot, recipeId, servings });
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('EntryAdded', this.entryEventData(mealPlan, entry));
+        return mealPlan;
+    }
+    
+    getMealPlan(id) {
+        return this.requireMealPlan(id);
+    }
+    
+    renameMealPlan(mealPlanId, name) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'editor');
+        if (!name) throw new ValidationError('Name is required');
+        
+        mealPlan.recordChange(this.getCurrentUser().id, 'renamed', { from: mealPlan.name, to: name });
+        mealPlan.name = name;
+        this.repository.saveMealPlan(mealPlan);
+        return mealPlan;
+    }
+    
+    deleteMealPlan(mealPlanId) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'owner');
+        const deleted = this.repository.deleteMealPlan(mealPlanId);
+        this.emit('MealPlanDeleted', { mealPlanId, name: mealPlan.name, memberIds: NotificationPolicy.planMembers(mealPlan) });
+        return deleted;
+    }
+    
+    // changes may hold day (ISO date or weekday), slot, recipeId, servings
+    // (null for the recipe's own) and recipeRevision (null to unpin).
+    // Switching recipes unpins unless a recipeRevision is given too.
+    updateMealPlanEntry(mealPlanId, entryId, changes) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'editor');
+        const entry = this.requireEntry(mealPlan, entryId);
+        
+        if (changes.recipeId !== undefined) this.requireRecipe(changes.recipeId);
+        changes = Object.assign({}, changes);
+        if (changes.recipeId !== undefined && changes.recipeId !== entry.recipeId && changes.recipeRevision === undefined) {
+            changes.recipeRevision = null;
+        }
+        if (changes.recipeRevision !== undefined && changes.recipeRevision !== null) {
+            const recipe = changes.recipeId !== undefined ? this.requireRecipe(changes.recipeId) : this.repository.getRecipe(entry.recipeId);
+            if (!recipe) throw new NotFoundError('Recipe not found');
+            this.requirePinnableRevision(recipe, changes.recipeRevision);
+        }
+        if (changes.servings !== undefined && changes.servings !== null && !(changes.servings > 0)) {
+            throw new ValidationError('Servings must be a positive number');
+        }
+        if (changes.slot !== undefined && !MEAL_SLOTS[changes.slot]) throw new ValidationError(`Unknown meal slot: ${changes.slot}`);
+        const date = changes.day !== undefined
+            ? PlanCalendar.resolveDay(changes.day, mealPlan.startDate, mealPlan.endDate)
+            : entry.date || entry.day;
+        
+        const previous = {
+            date: entry.date, slot: entry.slot, recipeId: entry.recipeId, servings: entry.servings, recipeRevision: entry.recipeRevision
+        };
+        ['slot', 'recipeId', 'servings', 'recipeRevision'].forEach(field => {
+            if (changes[field] !== undefined) entry[field] = changes[field];
+        });
+        mealPlan.placeEntry(entry, date);
+        
+        mealPlan.recordChange(this.getCurrentUser().id, 'entryUpdated', { entryId, from: previous, changes });
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('EntryUpdated', Object.assign(this.entryEventData(mealPlan, entry), { from: previous }));
+        return mealPlan;
+    }
+    
+    // Pins the entry to a recipe revision (default: the current one) so
+    // later recipe edits don't change the plan or its shopping list
+    pinMealPlanEntry(mealPlanId, entryId, revision = null) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'editor');
+        const entry = this.requireEntry(mealPlan, entryId);
+        const recipe = this.repository.getRecipe(entry.recipeId);
+        if (!recipe) throw new NotFoundError('Recipe not found');
+        if (revision === null) this.recipeBaseline(recipe);
+        return this.updateMealPlanEntry(mealPlanId, entryId, { recipeRevision: revision === null ? recipe.revision : revision });
+    }
+    
+    unpinMealPlanEntry(mealPlanId, entryId) {
+        return this.updateMealPlanEntry(mealPlanId, entryId, { recipeRevision: null });
+    }
+    
+    moveMealPlanEntry(mealPlanId, entryId, day, slot = undefined) {
+        return this.updateMealPlanEntry(mealPlanId, entryId, { day, slot });
+    }
+    
+    swapMealPlanRecipe(mealPlanId, entryId, recipeId) {
+        return this.updateMealPlanEntry(mealPlanId, entryId, { recipeId });
+    }
+    
+    removeMealPlanEntry(mealPlanId, entryId) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'editor');
+        const entry = this.requireEntry(mealPlan, entryId);
+        
+        mealPlan.removeEntry(entryId);
+        mealPlan.recordChange(this.getCurrentUser().id, 'entryRemoved', { entryId, date: entry.date, slot: entry.slot, recipeId: entry.recipeId });
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('EntryRemoved', this.entryEventData(mealPlan, entry));
+        return mealPlan;
+    }
+    
+    entryEventData(mealPlan, entry) {
+        const recipe = this.repository.getRecipe(entry.recipeId);
+        return {
+            mealPlanId: mealPlan.id, entryId: entry.id, date: entry.date, slot: entry.slot,
+            recipeId: entry.recipeId, recipeTitle: recipe ? recipe.title : null
+        };
+    }
+    
+    // Own plans plus plans shared with the user, each marked with
+    // `shared` and the user's `role`
+    getUserMealPlans() {
+        const user = this.requireUser();
+        return this.repository.getUserMealPlans(user.id)
+            .concat(this.repository.getSharedMealPlans(user.id))
+            .map(plan => plan.forViewer(user.id));
+    }
+    
+    // Cook-day Timeline
+    // Interleaves the steps of a day's recipes so they are all ready at the
+    // serve time ('HH:MM'). options: { slot, serveTime }; slot limits it to
+    // that meal. Without a serveTime the earliest chosen meal slot's time is used.
+    // Returns { mealPlanId, date, serveTime, startTime, totalMinutes,
+    // timeline: [{ date, time, endTime, minutesBeforeServe, entryId, recipeId,
+    // recipeTitle, stepId, text, activeMinutes, passiveMinutes, equipment }] }
+    scheduleCookDay(mealPlanId, day, options = {}) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        const date = PlanCalendar.resolveDay(day, mealPlan.startDate, mealPlan.endDate);
+        if (options.slot !== undefined && options.slot !== null && !MEAL_SLOTS[options.slot]) {
+            throw new ValidationError(`Unknown meal slot: ${options.slot}`);
+        }
+        
+        const entries = mealPlan.getSortedEntries()
+            .filter(entry => entry.date === date && (!options.slot || entry.slot === options.slot));
+        const serveTime = options.serveTime || (entries.length > 0 ? MEAL_SLOTS[entries[0].slot].start : MEAL_SLOTS[options.slot || 'dinner'].start);
+        const match = /^(\d{1,2}):(\d{2})$/.exec(serveTime);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new ValidationError(`Not a HH:MM time: ${serveTime}`);
+        const serveMinutes = Number(match[1]) * 60 + Number(match[2]);
+        
+        const jobs = entries
+            .map(entry => ({ key: entry.id, recipe: this.repository.getEntryRecipe(entry) }))
+            .filter(job => job.recipe);
+        const clock = minutes => {
+            const absolute = serveMinutes + minutes;
+            const dayOffset = Math.floor(absolute / (24 * 60));
+            const time = absolute - dayOffset * 24 * 60;
+            return {
+                date: PlanCalendar.addDays(date, dayOffset),
+                time: `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`
+            };
+        };
+        
+        const timeline = CookDayScheduler.schedule(jobs).map(item => ({
+            date: clock(item.start).date,
+            time: clock(item.start).time,
+            endTime: clock(item.end).time,
+            minutesBeforeServe: -item.start,
+            entryId: item.key,
+            recipeId: item.recipe.id,
+            recipeTitle: item.recipe.title,
+            stepId: item.step.id,
+            text: item.step.text,
+            activeMinutes: item.step.activeMinutes,
+            passiveMinutes: item.step.passiveMinutes,
+            equipment: item.step.equipment
+        }));
+        const totalMinutes = timeline.length > 0 ? timeline[0].minutesBeforeServe : 0;
+        return {
+            mealPlanId: mealPlan.id,
+            date,
+            serveTime: clock(0).time,
+            startTime: clock(-totalMinutes).time,
+            totalMinutes,
+            timeline
+        };
+    }
+    
+    // Shopping List Generation (uses Strategy Pattern)
+    // With options.subtractPantry only the shortfall against the pantry is listed.
+    generateShoppingList(mealPlanId, strategyType = 'basic', options = {}) {
+        return this.generateShoppingListWithBudget(mealPlanId, strategyType, options).ingredients;
+    }
+    
+    // { ingredients, budget }. For the 'budget' strategy, budget is the cost
+    // report of exactly these ingredients (after the pantry is taken off);
+    // for other strategies it is null.
+    generateShoppingListWithBudget(mealPlanId, strategyType = 'basic', options = {}) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        this.validateWeeklyBudget(options);
+        const onHand = options.subtractPantry
+            ? this.getPantry().filter(item => !item.isExpired()).map(item => item.toIngredient())
+            : [];
+        
+        // Use Strategy Pattern
+        const strategyOptions = Object.assign({ priceCatalog: this.priceCatalog, onHand }, options);
+        const strategy = ShoppingListStrategyFactory.createStrategy(strategyType, strategyOptions);
+        let shoppingList = strategy.generate(mealPlan, this.repository);
+        
+        // The budget strategy takes the pantry off itself, before pricing
+        const budgeted = strategy instanceof BudgetShoppingListStrategy;
+        if (!budgeted) shoppingList = UnitConverter.subtractIngredients(shoppingList, onHand);
+        this.emit('ShoppingListGenerated', {
+            mealPlanId: mealPlan.id, strategy: strategyType, subtractPantry: Boolean(options.subtractPantry), itemCount: shoppingList.length
+        });
+        return { ingredients: shoppingList, budget: budgeted ? Object.assign({ mealPlanId: mealPlan.id }, strategy.report) : null };
+    }
+    
+    // Saved Shopping Lists
+    // Generates the plan's list (same arguments as generateShoppingList),
+    // sorts it into store sections and saves it so items can be ticked off.
+    createShoppingList(mealPlanId, strategyType = 'basic', options = {}) {
+        return this.createShoppingListWithBudget(mealPlanId, strategyType, options).list;
+    }
+    
+    // { list, budget }, budget as in generateShoppingListWithBudget
+    createShoppingListWithBudget(mealPlanId, strategyType = 'basic', options = {}) {
+        const user = this.requireUser();
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        const { ingredients, budget } = this.generateShoppingListWithBudget(mealPlanId, strategyType, options);
+        
+        const list = new ShoppingList(null, user.id, mealPlan.id, options.name || `${mealPlan.name} - Shopping List`,
+            this.toShoppingListItems(ingredients));
+        this.repository.saveShoppingList(list);
+        return { list, budget };
+    }
+    
+    getShoppingList(listId) {
+        const user = this.requireUser();
+        const list = this.repository.getShoppingList(listId);
+        if (!list) throw new NotFoundError('Shopping list not found');
+        if (list.userId !== user.id) throw new ForbiddenError('Not your shopping list');
+        return list;
+    }
+    
+    getUserShoppingLists() {
+        const user = this.requireUser();
+        return this.repository.getUserShoppingLists(user.id);
+    }
+    
+    setShoppingListItemChecked(listId, itemId, checked = true) {
+        const list = this.getShoppingList(listId);
+        const item = list.getItem(itemId);
+        if (!item) throw new NotFoundError('Shopping list item not found');
+        
+        item.checked = Boolean(checked);
+        this.repository.saveShoppingList(list);
+        return list;
+    }
+    
+    deleteShoppingList(listId) {
+        this.getShoppingList(listId);
+        return this.repository.deleteShoppingList(listId);
+    }
+    
+    // list is a saved list's id, or an array of Ingredients from
+    // generateShoppingList. format: 'markdown' | 'csv' | 'text' | 'json'
+    exportShoppingList(list, format = 'markdown') {
+        const shoppingList = Array.isArray(list)
+            ? new ShoppingList(null, null, null, 'Shopping List', this.toShoppingListItems(list))
+            : this.getShoppingList(list);
+        return ShoppingListExporter.export(shoppingList, format, this.storeSections.order);
+    }
+    
+    toShoppingListItems(ingredients) {
+        return ingredients.map((ing, index) => ({
+            id: `item-${index + 1}`,
+            name: ing.name,
+            amount: ing.amount,
+            unit: ing.unit,
+            section: this.storeSections.getSection(ing.name),
+            checked: false
+        }));
+    }
+    
+    // Cost Estimation
+    estimateRecipeCost(recipeId, servings = null) {
+        const recipe = this.requireRecipe(recipeId);
+        if (servings !== null && !(servings > 0)) throw new ValidationError('Servings must be a positive number');
+        
+        return Object.assign({ recipeId: recipe.id }, this.priceCatalog.priceRecipe(recipe, servings || recipe.servings));
+    }
+    
+    // Whole-package cost of the plan's shopping list, per item and per recipe.
+    // options.baseStrategy picks the list (e.g. 'vegan'); options.weeklyBudget
+    // adds the over-budget check and warnings.
+    estimateMealPlanCost(mealPlanId, options = {}) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        this.validateWeeklyBudget(options);
+        
+        const strategy = new BudgetShoppingListStrategy(Object.assign({ priceCatalog: this.priceCatalog }, options));
+        strategy.generate(mealPlan, this.repository);
+        return Object.assign({ mealPlanId: mealPlan.id }, strategy.report);
+    }
+    
+    validateWeeklyBudget(options) {
+        if (options.weeklyBudget !== undefined && !(options.weeklyBudget >= 0)) {
+            throw new ValidationError('Weekly budget must not be negative');
+        }
+    }
+    
+    checkMealPlanBudget(mealPlanId, weeklyBudget, options = {}) {
+        return this.estimateMealPlanCost(mealPlanId, Object.assign({}, options, { weeklyBudget }));
+    }
+    
+    // Nutrition
+    getRecipeNutrition(recipeId, servings = null) {
+        const recipe = this.requireRecipe(recipeId);
+        if (servings !== null && !(servings > 0)) throw new ValidationError('Servings must be a positive number');
+        
+        return Object.assign({ recipeId: recipe.id }, NutritionCalculator.forRecipe(recipe, servings || recipe.servings));
+    }
+    
+    // Per-person nutrition: each entry counts one serving of its recipe, each
+    // day adds up its entries and the plan adds up its days.
+    getMealPlanNutrition(mealPlanId) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        const days = new Map();
+        const unmatched = new Set();
+        
+        mealPlan.getSortedEntries().forEach(entry => {
+            const recipe = this.repository.getEntryRecipe(entry);
+            if (!recipe || !entry.date) return;
+            
+            const nutrition = NutritionCalculator.forRecipe(recipe, entry.servings || recipe.servings);
+            nutrition.unmatchedIngredients.forEach(name => unmatched.add(name));
+            
+            if (!days.has(entry.date)) {
+                days.set(entry.date, { date: entry.date, day: entry.day, total: NutritionCalculator.empty(), entries: [] });
+            }
+            const day = days.get(entry.date);
+            day.entries.push({ entryId: entry.id, recipeId: recipe.id, slot: entry.slot, nutrition: nutrition.perServing });
+            day.total = NutritionCalculator.add(day.total, nutrition.perServing);
+        });
+        
+        const dayList = Array.from(days.values()).map(day => Object.assign(day, { total: NutritionCalculator.round(day.total) }));
+        const total = dayList.reduce((sum, day) => NutritionCalculator.add(sum, day.total), NutritionCalculator.empty());
+        return {
+            mealPlanId: mealPlan.id,
+            days: dayList,
+            total: NutritionCalculator.round(total),
+            dailyAverage: NutritionCalculator.round(NutritionCalculator.scale(total, 1 / Math.max(1, dayList.length))),
+            unmatchedIngredients: Array.from(unmatched)
+        };
+    }
+    
+    // targets: { calories: { min, max }, protein: { min }, sodium: { max } }.
+    // A plain number n means "about n" (within 10% either way).
+    setNutritionTargets(targets) {
+        const user = this.requireUser();
+        const normalized = {};
+        
+        Object.entries(targets || {}).forEach(([nutrient, target]) => {
+            if (!NUTRIENTS.includes(nutrient)) throw new ValidationError(`Unknown nutrient: ${nutrient}`);
+            const range = typeof target === 'number' ? { min: target * 0.9, max: target * 1.1 } : target;
+            if ((range.min !== undefined && !(range.min >= 0)) || (range.max !== undefined && !(range.max >= 0))) {
+                throw new ValidationError(`Invalid target for ${nutrient}`);
+            }
+            normalized[nutrient] = {};
+            if (range.min !== undefined) normalized[nutrient].min = range.min;
+            if (range.max !== undefined) normalized[nutrient].max = range.max;
+        });
+        
+        user.nutritionTargets = normalized;
+        this.repository.saveUser(user);
+        return normalized;
+    }
+    
+    getNutritionTargets() {
+        return this.requireUser().nutritionTargets;
+    }
+    
+    // Every day of the plan checked against the current user's daily
+    // targets; a day with nothing planned counts as zero, so it falls short
+    // of every min
+    getNutritionReport(mealPlanId) {
+        const targets = this.requireUser().nutritionTargets;
+        const nutrition = this.getMealPlanNutrition(mealPlanId);
+        const planned = new Map(nutrition.days.map(day => [day.date, day]));
+        
+        const days = this.requireMealPlan(mealPlanId).getDates().map(date => {
+            const day = planned.get(date) ||
+                { date, day: PlanCalendar.weekday(date), total: NutritionCalculator.round(NutritionCalculator.empty()) };
+            const exceeds = [];
+            const fallsShort = [];
+            Object.entries(targets).forEach(([nutrient, range]) => {
+                const value = day.total[nutrient];
+                if (range.max !== undefined && value > range.max) exceeds.push({ nutrient, value, max: range.max });
+                if (range.min !== undefined && value < range.min) fallsShort.push({ nutrient, value, min: range.min });
+            });
+            return { date: day.date, day: day.day, total: day.total, exceeds, fallsShort, onTarget: exceeds.length === 0 && fallsShort.length === 0 };
+        });
+        
+        return {
+            mealPlanId: nutrition.mealPlanId,
+            targets,
+            days,
+            offTargetDays: days.filter(day => !day.onTarget).map(day => day.date),
+            unmatchedIngredients: nutrition.unmatchedIngredients
+        };
+    }
+    
+    // Calendar Export
+    // RFC 5545 calendar with one event per meal; also written to filePath if given
+    exportMealPlanToICalendar(mealPlanId, filePath = null) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        const ics = ICalendarExporter.export(mealPlan, this.repository);
+        
+        if (filePath) {
+            fs.writeFileSync(filePath, ics, 'utf8');
+        }
+        return ics;
+    }
+    
+    // Pantry Management
+    addPantryItem(name, amount, unit = '', expiresAt = null) {
+        const user = this.requireUser();
+        this.validatePantryFields({ name, amount, unit, expiresAt });
+        
+        // Top up an existing batch with the same expiry instead of adding a line
+        const added = UnitConverter.toComparable(new Ingredient(name, amount, unit));
+        const existing = this.getPantry().find(item =>
+            item.expiresAt === expiresAt && UnitConverter.toComparable(item).key === added.key
+        );
+        if (existing) {
+            const topUp = added.dimension ? UnitConverter.convert(amount, unit, existing.unit) : amount;
+            existing.amount = Math.round((existing.amount + topUp) * 10000) / 10000;
+            this.repository.savePantryItem(existing);
+            return existing;
+        }
+        
+        const item = new PantryItem(null, user.id, name, amount, unit, expiresAt);
+        this.repository.savePantryItem(item);
+        return item;
+    }
+    
+    // changes: any of name, amount, unit and expiresAt
+    updatePantryItem(itemId, changes) {
+        const item = this.getOwnPantryItem(itemId);
+        const unknown = Object.keys(changes).filter(field => !PANTRY_ITEM_FIELDS.includes(field));
+        if (unknown.length > 0) throw new ValidationError(`Unknown pantry item fields: ${unknown.join(', ')}`);
+        this.validatePantryFields(changes);
+        
+        PANTRY_ITEM_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) item[field] = changes[field];
+        });
+        
+        this.repository.savePantryItem(item);
+        return item;
+    }
+    
+    // Checks the pantry item fields that are given (not undefined). Units are
+    // ones UnitConverter knows or countable ones like "cloves".
+    validatePantryFields(fields) {
+        if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+            throw new ValidationError('Name is required');
+        }
+        if (fields.amount !== undefined && !(typeof fields.amount === 'number' && fields.amount >= 0)) {
+            throw new ValidationError('Amount must be a number, zero or more');
+        }
+        if (fields.unit !== undefined) {
+            const known = typeof fields.unit === 'string' &&
+                (UnitConverter.isKnownUnit(fields.unit) || COUNTABLE_UNITS.includes(UnitConverter.normalizeUnit(fields.unit)));
+            if (!known) throw new ValidationError(`Unknown unit: ${fields.unit}`);
+        }
+        if (fields.expiresAt !== undefined && fields.expiresAt !== null && !PlanCalendar.isISODate(fields.expiresAt)) {
+            throw new ValidationError(`Not an ISO date: ${fields.expiresAt}`);
+        }
+    }
+    
+    removePantryItem(itemId) {
+        this.getOwnPantryItem(itemId);
+        return this.repository.deletePantryItem(itemId);
+    }
+    
+    // Takes the amount from matching items, soonest-expiring first. Returns
+    // the part that wasn't in the pantry as an Ingredient, or null.
+    consumePantryItem(name, amount, unit = '') {
+        this.requireUser();
+        
+        const wanted = UnitConverter.toComparable(new Ingredient(name, amount, unit));
+        const batches = this.getPantry()
+            .filter(item => UnitConverter.toComparable(item).key === wanted.key)
+            .sort((a, b) => (a.expiresAt || '9999').localeCompare(b.expiresAt || '9999'));
+        
+        let remaining = wanted.amount;
+        this.repository.transaction(() => {
+            batches.forEach(item => {
+                if (remaining <= 1e-9) return;
+                const available = UnitConverter.toComparable(item).amount;
+                const taken = Math.min(available, remaining);
+                remaining -= taken;
+                
+                if (available - taken <= 1e-9) {
+                    this.repository.deletePantryItem(item.id);
+                } else {
+                    const left = available - taken;
+                    item.amount = Math.round((wanted.dimension ? UnitConverter.fromBase(left, item.unit) : left) * 10000) / 10000;
+                    this.repository.savePantryItem(item);
+                }
+            });
+        });
+        
+        if (remaining <= 1e-9) return null;
+        return UnitConverter.fromComparable(name, Object.assign({}, wanted, { amount: remaining }));
+    }
+    
+    getPantry() {
+        const user = this.requireUser();
+        return this.repository.getUserPantryItems(user.id)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    // Deducts the entry's (scaled) recipe ingredients from the pantry
+    cookPlanEntry(mealPlanId, entryId) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        const entry = this.requireEntry(mealPlan, entryId);
+        // Plan members cook the plan's recipes even if they can't browse them
+        const recipe = this.repository.getEntryRecipe(entry);
+        if (!recipe) throw new NotFoundError('Recipe not found');
+        
+        const missing = this.repository.transaction(() => recipe.scaleIngredients(entry.servings || recipe.servings)
+            .map(ing => this.consumePantryItem(ing.name, ing.amount, ing.unit))
+            .filter(ing => ing));
+        return { recipeId: recipe.id, missing };
+    }
+    
+    getOwnPantryItem(itemId) {
+        const user = this.requireUser();
+        const item = this.repository.getPantryItem(itemId);
+        if (!item) throw new NotFoundError('Pantry item not found');
+        if (item.userId !== user.id) throw new ForbiddenError('Not your pantry item');
+        return item;
+    }
+    
+    // Dietary Compliance
+    // Reports plan entries whose recipe breaks the diet (with compliant
+    // replacements) and recipes whose declared dietaryFlags don't hold.
+    validateMealPlan(mealPlanId, dietProfile) {
+        const mealPlan = this.requireMealPlan(mealPlanId);
+        
+        const profile = DietProfileRegistry.get(dietProfile);
+        if (!profile) throw new ValidationError(`Unknown diet profile: ${dietProfile}`);
+        
+        const violations = [];
+        const checkedRecipes = new Map();
+        
+        mealPlan.entries.forEach(entry => {
+            const recipe = this.repository.getEntryRecipe(entry);
+            if (!recipe) return;
+            checkedRecipes.set(recipe.id, recipe);
+            
+            const offendingIngredients = profile.getOffendingIngredients(recipe);
+            if (offendingIngredients.length > 0) {
+                violations.push({
+                    entryId: entry.id,
+                    day: entry.day,
+                    date: entry.date,
+                    slot: entry.slot,
+                    recipeId: recipe.id,
+                    recipeTitle: recipe.title,
+                    offendingIngredients,
+                    suggestions: this.suggestCompliantRecipes(recipe, profile)
+                });
+            }
+        });
+        
+        const flagMismatches = [];
+        checkedRecipes.forEach(recipe => {
+            flagMismatches.push(...this.checkDietaryFlags(recipe));
+        });
+        
+        return {
+            mealPlanId: mealPlan.id,
+            dietProfile: profile.id,
+            compliant: violations.length === 0,
+            violations,
+            flagMismatches
+        };
+    }
+    
+    // Declared flags like 'vegan' checked against the actual ingredients
+    checkDietaryFlags(recipe) {
+        return (recipe.dietaryFlags || [])
+            .map(flag => ({ flag, profile: DietProfileRegistry.get(flag) }))
+            .filter(({ profile }) => profile)
+            .map(({ flag, profile }) => ({
+                recipeId: recipe.id,
+                recipeTitle: recipe.title,
+                flag,
+                offendingIngredients: profile.getOffendingIngredients(recipe)
+            }))
+            .filter(mismatch => mismatch.offendingIngredients.length > 0);
+    }
+    
+    // Compliant recipes, most shared tags first, then by rating
+    suggestCompliantRecipes(recipe, dietProfile, limit = 3) {
+        const profile = DietProfileRegistry.get(dietProfile);
+        const tags = new Set((recipe.tags || []).map(tag => tag.toLowerCase()));
+        const sharedTags = candidate => (candidate.tags || []).filter(tag => tags.has(tag.toLowerCase())).length;
+        
+        return this.getAllRecipes()
+            .filter(candidate => candidate.id !== recipe.id && profile.allowsRecipe(candidate))
+            .sort((a, b) => sharedTags(b) - sharedTags(a) || b.rating - a.rating)
+            .slice(0, limit)
+            .map(candidate => ({ recipeId: candidate.id, title: candidate.title }));
+    }
+    
+    // Cookbooks
+    createCookbook(name, description = '', visibility = 'private') {
+        const user = this.requireUser();
+        if (!name) throw new ValidationError('Name is required');
+        if (!VISIBILITIES.includes(visibility)) throw new ValidationError(`Unknown visibility: ${visibility}`);
+        
+        const cookbook = new Cookbook(null, user.id, name, description);
+        cookbook.visibility = visibility;
+        this.repository.saveCookbook(cookbook);
+        return cookbook;
+    }
+    
+    // changes may hold name, description, visibility
+    updateCookbook(cookbookId, changes) {
+        this.requireUser();
+        const cookbook = this.requireCookbook(cookbookId, true);
+        if (changes.name !== undefined && !changes.name) throw new ValidationError('Name is required');
+        if (changes.visibility !== undefined && !VISIBILITIES.includes(changes.visibility)) {
+            throw new ValidationError(`Unknown visibility: ${changes.visibility}`);
+        }
+        
+        ['name', 'description', 'visibility'].forEach(field => {
+            if (changes[field] !== undefined) cookbook[field] = changes[field];
+        });
+        this.repository.saveCookbook(cookbook);
+        return cookbook;
+    }
+    
+    deleteCookbook(cookbookId) {
+        this.requireUser();
+        this.requireCookbook(cookbookId, true);
+        return this.repository.deleteCookbook(cookbookId);
+    }
+    
+    addRecipeToCookbook(cookbookId, recipeId) {
+        this.requireUser();
+        const cookbook = this.requireCookbook(cookbookId, true);
+        this.requireRecipe(recipeId);
+        
+        if (!cookbook.addRecipe(recipeId)) throw new ConflictError('Recipe is already in this cookbook');
+        this.repository.saveCookbook(cookbook);
+        return cookbook;
+    }
+    
+    removeRecipeFromCookbook(cookbookId, recipeId) {
+        this.requireUser();
+        const cookbook = this.requireCookbook(cookbookId, true);
+        if (!cookbook.removeRecipe(recipeId)) throw new NotFoundError('Recipe is not in this cookbook');
+        
+        this.repository.saveCookbook(cookbook);
+        return cookbook;
+    }
+    
+    // Shares with one user (a private cookbook becomes 'shared')
+    shareCookbook(cookbookId, targetUserEmail) {
+        this.requireUser();
+        const cookbook = this.requireCookbook(cookbookId, true);
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        if (targetUser.id === cookbook.userId) throw new ValidationError('Cannot share a cookbook with its owner');
+        
+        if (!cookbook.sharedWith.includes(targetUser.id)) cookbook.sharedWith.push(targetUser.id);
+        if (cookbook.visibility === 'private') cookbook.visibility = 'shared';
+        this.repository.saveCookbook(cookbook);
+        this.emit('CookbookShared', { cookbookId: cookbook.id, name: cookbook.name, userId: targetUser.id });
+        return cookbook;
+    }
+    
+    unshareCookbook(cookbookId, targetUserEmail) {
+        this.requireUser();
+        const cookbook = this.requireCookbook(cookbookId, true);
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        if (!cookbook.sharedWith.includes(targetUser.id)) throw new NotFoundError('Cookbook is not shared with that user');
+        
+        cookbook.sharedWith = cookbook.sharedWith.filter(userId => userId !== targetUser.id);
+        this.repository.saveCookbook(cookbook);
+        return cookbook;
+    }
+    
+    getCookbook(cookbookId) {
+        return this.requireCookbook(cookbookId);
+    }
+    
+    // The cookbook's recipes the current user may see, in cookbook order
+    getCookbookRecipes(cookbookId) {
+        const cookbook = this.requireCookbook(cookbookId);
+        const visible = this.recipeVisibilityFilter();
+        return cookbook.recipeIds
+            .map(recipeId => this.repository.getRecipe(recipeId))
+            .filter(recipe => recipe && visible(recipe));
+    }
+    
+    // Own cookbooks plus those shared with the user
+    getUserCookbooks() {
+        const user = this.requireUser();
+        return this.repository.getAllCookbooks()
+            .filter(cookbook => cookbook.userId === user.id || (cookbook.visibility === 'shared' && cookbook.sharedWith.includes(user.id)));
+    }
+    
+    // Public cookbooks, for browsing
+    getPublicCookbooks() {
+        return this.repository.getAllCookbooks().filter(cookbook => cookbook.visibility === 'public');
+    }
+    
+    // Sharing
+    // Gives another user live access to the plan as 'viewer' or 'editor'.
+    // Sharing again with a different role changes the role.
+    shareMealPlan(mealPlanId, targetUserEmail, role = 'viewer') {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'owner');
+        if (!['viewer', 'editor'].includes(role)) throw new ValidationError(`Unknown role: ${role}`);
+        
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        if (targetUser.id === mealPlan.userId) throw new ValidationError('Cannot share a meal plan with its owner');
+        
+        const user = this.getCurrentUser();
+        mealPlan.grantAccess(targetUser.id, role);
+        mealPlan.recordChange(user.id, 'shared', { userId: targetUser.id, role });
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('MealPlanShared', { mealPlanId: mealPlan.id, name: mealPlan.name, userId: targetUser.id, role });
+        return mealPlan;
+    }
+    
+    revokeMealPlanAccess(mealPlanId, targetUserEmail) {
+        const mealPlan = this.requireMealPlan(mealPlanId, 'owner');
+        const targetUser = this.requireUserByEmail(targetUserEmail);
+        
+        if (!mealPlan.revokeAccess(targetUser.id)) throw new NotFoundError('Meal plan is not shared with that user');
+        mealPlan.recordChange(this.getCurrentUser().id, 'unshared', { userId: targetUser.id });
+        this.repository.saveMealPlan(mealPlan);
+        this.emit('MealPlanUnshared', { mealPlanId: mealPlan.id, name: mealPlan.name, userId: targetUser.id });
+        return mealPlan;
+    }
+    
+    // Independent copy of a plan: into the current user's plans, or (for the
+    // owner) into another user's plans. Later edits don't sync either way.
+    forkMealPlan(mealPlanId, targetUserEmail = null) {
+        const user = this.requireUser();
+        const mealPlan = this.requireMealPlan(mealPlanId, targetUserEmail ? 'owner' : 'viewer');
+        const targetUser = targetUserEmail ? this.requireUserByEmail(targetUserEmail) : user;
+        
+        const name = targetUser.id === user.id
+            ? `${mealPlan.name} (Copy)`
+            : `${mealPlan.name} (Shared by ${user.name})`;
+        const entries = mealPlan.entries.map(entry => {
+            const copy = new PlanEntry(entry.day, entry.recipeId, entry.servings, entry.slot);
+            copy.date = entry.date;
+            copy.addedBy = entry.addedBy;
+            copy.recipeRevision = entry.recipeRevision;
+            return copy;
+        });
+        
+        const forkedPlan = new MealPlan(null, targetUser.id, name, [], mealPlan.startDate, mealPlan.endDate);
+        entries.forEach(entry => forkedPlan.restoreEntry(entry));
+        forkedPlan.recordChange(user.id, 'forked', { fromMealPlanId: mealPlan.id });
+        this.repository.saveMealPlan(forkedPlan);
+        this.emit('MealPlanCreated', {
+            mealPlanId: forkedPlan.id, name: forkedPlan.name, ownerId: targetUser.id,
+            startDate: forkedPlan.startDate, endDate: forkedPlan.endDate, forkedFrom: mealPlan.id
+        });
+        return forkedPlan;
+    }
+    
+    // Events
+    // Calls handler(DomainEvent) after every change of that type ('*' for
+    // all). Returns a function that ends the subscription.
+    subscribe(type, handler) {
+        return this.events.subscribe(type, handler);
+    }
+    
+    // Publishes a DomainEvent caused by the current user
+    emit(type, data) {
+        const user = this.getCurrentUser();
+        return this.events.publish(new DomainEvent(type, user ? user.id : null, data));
+    }
+    
+    // Built-in subscriber: fills the inboxes and queues webhook deliveries
+    recordEvent(event) {
+        const notes = NotificationPolicy.notificationsFor(event, this.repository);
+        this.repository.transaction(() => {
+            notes.forEach(({ userId, message }) => {
+                this.repository.saveNotification(new Notification(null, userId, event.id, event.type, message, event.data));
+            });
+            this.outbox.enqueue(event, notes.map(note => note.userId));
+        });
+    }
+    
+    // Notifications
+    // Newest first. options: { unreadOnly }
+    getNotifications(options = {}) {
+        const user = this.requireUser();
+        return this.repository.getUserNotifications(user.id)
+            .filter(notification => !options.unreadOnly || !notification.isRead());
+    }
+    
+    getUnreadNotificationCount() {
+        return this.getNotifications({ unreadOnly: true }).length;
+    }
+    
+    // read = false marks it unread again
+    markNotificationRead(notificationId, read = true) {
+        const notification = this.requireNotification(notificationId);
+        if (read && !notification.isRead()) notification.readAt = new Date().toISOString();
+        if (!read) notification.readAt = null;
+        this.repository.saveNotification(notification);
+        return notification;
+    }
+    
+    // Returns how many were unread
+    markAllNotificationsRead() {
+        const unread = this.getNotifications({ unreadOnly: true });
+        const readAt = new Date().toISOString();
+        this.repository.transaction(() => unread.forEach(notification => {
+            notification.readAt = readAt;
+            this.repository.saveNotification(notification);
+        }));
+        return unread.length;
+    }
+    
+    deleteNotification(notificationId) {
+        this.requireNotification(notificationId);
+        return this.repository.deleteNotification(notificationId);
+    }
+    
+    // Webhooks
+    // The current user's webhook; adding a URL again replaces its event types and secret
+    addWebhook(url, eventTypes = ['*'], secret = null) {
+        const user = this.requireUser();
+        return this.registerWebhook(user.id, url, eventTypes, secret);
+    }
+    
+    // userId null registers an application-wide webhook, which may use any host
+    registerWebhook(userId, url, eventTypes = ['*'], secret = null) {
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw new ValidationError(`Not an http(s) URL: ${url}`);
+        if (userId && !this.outbox.allowsHost(parsed.hostname)) {
+            throw new ValidationError(`Webhook URL must point to a public address: ${url}`);
+        }
+        if (!Array.isArray(eventTypes) || eventTypes.length === 0) throw new ValidationError('At least one event type is required');
+        eventTypes.forEach(type => {
+            if (type !== '*' && !DOMAIN_EVENT_TYPES.includes(type)) throw new ValidationError(`Unknown event type: ${type}`);
+        });
+        if (secret !== null && (typeof secret !== 'string' || !secret)) throw new ValidationError('Secret must be text');
+        
+        const existing = this.repository.getAllWebhooks().find(webhook => webhook.userId === userId && webhook.url === url);
+        const webhook = existing || new Webhook(null, userId, url);
+        webhook.eventTypes = eventTypes;
+        webhook.secret = secret;
+        this.repository.saveWebhook(webhook);
+        return webhook;
+    }
+    
+    getMyWebhooks() {
+        const user = this.requireUser();
+        return this.repository.getAllWebhooks().filter(webhook => webhook.userId === user.id);
+    }
+    
+    // Also drops its queued and past deliveries
+    removeWebhook(webhookId) {
+        const webhook = this.requireWebhook(webhookId);
+        return this.repository.transaction(() => {
+            this.repository.getOutboxMessages()
+                .filter(message => message.webhookId === webhook.id)
+                .forEach(message => this.repository.deleteOutboxMessage(message.id));
+            return this.repository.deleteWebhook(webhook.id);
+        });
+    }
+    
+    // Newest first
+    getWebhookDeliveries(webhookId) {
+        const webhook = this.requireWebhook(webhookId);
+        return this.repository.getOutboxMessages()
+            .filter(message => message.webhookId === webhook.id)
+            .reverse();
+    }
+    
+    // Sends every delivery that is due; resolves to the WebhookOutbox summary
+    deliverWebhooks() {
+        return this.outbox.deliverDue();
+    }
+    
+    // Keeps delivering every intervalMs (without holding the process open).
+    // Returns a function that stops it.
+    startWebhookDelivery(intervalMs = 5000) {
+        const timer = setInterval(() => {
+            this.outbox.deliverDue().catch(error => this.onError(error, 'Webhook delivery'));
+        }, intervalMs);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+    
+    // Access Checks
+    requireUser() {
+        const user = this.getCurrentUser();
+        if (!user) throw new AuthenticationError('Must be logged in');
+        return user;
+    }
+    
+    // Recipes the user may not see are reported as missing, not forbidden
+    requireRecipe(recipeId) {
+        const recipe = this.repository.getRecipe(recipeId);
+        if (!recipe || !this.canViewRecipe(recipe)) throw new NotFoundError('Recipe not found');
+        return recipe;
+    }
+    
+    requirePinnableRevision(recipe, number) {
+        if (!Number.isInteger(number) || number < 1 || number > recipe.revision) {
+            throw new ValidationError(`Recipe has no revision ${number}`);
+        }
+        this.recipeBaseline(recipe);
+        if (!this.repository.getRecipeRevision(recipe.id, number)) throw new NotFoundError('Revision not found');
+    }
+    
+    requireOwnRecipe(recipeId) {
+        const user = this.requireUser();
+        const recipe = this.requireRecipe(recipeId);
+        if (recipe.authorId === null) throw new ForbiddenError('Recipes without an author are read-only');
+        if (!recipe.canEdit(user.id)) throw new ForbiddenError('Only the author can change this recipe');
+        return recipe;
+    }
+    
+    requireCookbook(cookbookId, ownerOnly = false) {
+        const user = this.getCurrentUser();
+        const cookbook = this.repository.getCookbook(cookbookId);
+        if (!cookbook || !cookbook.isVisibleTo(user ? user.id : null)) throw new NotFoundError('Cookbook not found');
+        if (ownerOnly && (!user || cookbook.userId !== user.id)) throw new ForbiddenError('Not your cookbook');
+        return cookbook;
+    }
+    
+    // role is the least access needed: 'viewer', 'editor' or 'owner'
+    requireMealPlan(mealPlanId, role = 'viewer') {
+        const user = this.requireUser();
+        const mealPlan = this.repository.getMealPlan(mealPlanId);
+        if (!mealPlan) throw new NotFoundError('Meal plan not found');
+        if (!mealPlan.hasAccess(user.id)) throw new ForbiddenError('Not your meal plan');
+        if (!mealPlan.hasAccess(user.id, role)) throw new ForbiddenError(`Only a meal plan ${role} can do that`);
+        return mealPlan;
+    }
+    
+    requireEntry(mealPlan, entryId) {
+        const entry = mealPlan.getEntry(entryId);
+        if (!entry) throw new NotFoundError('Plan entry not found');
+        return entry;
+    }
+    
+    requireNotification(notificationId) {
+        const user = this.requireUser();
+        const notification = this.repository.getNotification(notificationId);
+        if (!notification) throw new NotFoundError('Notification not found');
+        if (notification.userId !== user.id) throw new ForbiddenError('Not your notification');
+        return notification;
+    }
+    
+    requireWebhook(webhookId) {
+        const user = this.requireUser();
+        const webhook = this.repository.getWebhook(webhookId);
+        if (!webhook) throw new NotFoundError('Webhook not found');
+        if (webhook.userId !== user.id) throw new ForbiddenError('Not your webhook');
+        return webhook;
+    }
+    
+    requireUserByEmail(email) {
+        const user = this.repository.getUserByEmail((email || '').trim().toLowerCase());
+        if (!user) throw new NotFoundError('Target user not found');
+        return user;
+    }
+    
+    // Sample Data
+    // Silent and session-free: the CLI prints tokens on stdout, and a
+    // file store should not keep a session nobody asked for.
+    initializeSampleData() {
+        // Create sample users and save them
+        const alice = this.register('Alice', 'alice@example.com', 'alice-password');
+        this.register('Bob', 'bob@example.com', 'bob-password');
+        
+        // Create sample recipes, authored by Alice
+        const sampleRecipes = [
+            new Recipe(
+                null,
+                'Vegetable Stir Fry',
+                [
+                    new Ingredient('Broccoli', 200, 'g'),
+                    new Ingredient('Carrot', 2, ''),
+                    new Ingredient('Bell Pepper', 1, ''),
+                    new Ingredient('Soy Sauce', 3, 'tbsp')
+                ],
+                [
+                    { text: 'Chop vegetables', activeMinutes: 10 },
+                    { text: 'Stir fry in pan', activeMinutes: 8, equipment: ['pan'] },
+                    { text: 'Add sauce', activeMinutes: 2 }
+                ],
+                ['vegetarian', 'quick'],
+                ['vegetarian', 'vegan'],
+                2
+            ),
+            new Recipe(
+                null,
+                'Grilled Chicken',
+                [
+                    new Ingredient('Chicken Breast', 2, ''),
+                    new Ingredient('Olive Oil', 2, 'tbsp'),
+                    new Ingredient('Lemon', 1, ''),
+                    new Ingredient('Garlic', 3, 'cloves')
+                ],
+                [
+                    { text: 'Marinate chicken', activeMinutes: 5, passiveMinutes: 30 },
+                    { text: 'Grill for 10 minutes', activeMinutes: 2, passiveMinutes: 10, equipment: ['grill'] },
+                    { text: 'Serve with lemon', activeMinutes: 2 }
+                ],
+                ['protein', 'grilled'],
+                ['gluten-free'],
+                2
+            ),
+            new Recipe(
+                null,
+                'Pasta Carbonara',
+                [
+                    new Ingredient('Pasta', 250, 'g'),
+                    new Ingredient('Eggs', 2, ''),
+                    new Ingredient('Parmesan', 100, 'g'),
+                    new Ingredient('Bacon', 150, 'g')
+                ],
+                [
+                    { id: 'pasta', text: 'Cook pasta', activeMinutes: 2, passiveMinutes: 10, dependsOn: [] },
+                    { id: 'bacon', text: 'Fry bacon', activeMinutes: 8, dependsOn: [], equipment: ['pan'] },
+                    { id: 'sauce', text: 'Mix eggs and cheese', activeMinutes: 3, dependsOn: [] },
+                    { id: 'combine', text: 'Combine all', activeMinutes: 2, dependsOn: ['pasta', 'bacon', 'sauce'] }
+                ],
+                ['italian', 'pasta'],
+                [],
+                4
+            )
+        ];
+        
+        // Save recipes
+        sampleRecipes.forEach(recipe => {
+            recipe.authorId = alice.id;
+            recipe.visibility = 'public';
+            this.repository.saveRecipe(recipe);
+        });
+    }
+}
+
+CookingPlanApplication.SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// -----------------------------
+// 5. COMMAND-LINE INTERFACE
+// -----------------------------
+
+const CLI_USAGE = `Usage: node app.js <command> [arguments] [options]
+
+Commands:
+  register <name> <email> <password>
+  login <email> <password>              prints a session token
+  logout
+  whoami
+  recipe add <title> --ingredient "200 g broccoli" --step "..." [--tag t] [--diet d] [--servings n]
+             [--visibility private|shared|public]
+  recipe mine
+  recipe visibility <recipe> <private|shared|public>
+  recipe share <recipe> <email>
+  recipe history <recipe>
+  recipe revision <recipe> <number>
+  recipe restore <recipe> <number>
+  recipe fork <recipe> [--title t]
+  recipe upstream <recipe>              changes to the original since forking
+  recipe list [--tag t] [--diet d] [--sort rating|title|fewestIngredients] [--page n] [--page-size n]
+  recipe show <recipe> [--servings n]
+  recipe rate <recipe> <1-5> [--review text]
+  recipe unrate <recipe>
+  recipe moderate <recipe> <user> <hide|show|remove>
+  recipe ratings <recipe>
+  recipe top [--limit n]
+  recipe my-ratings
+  recipe search <query> [--tag t] [--diet d] [--sort s] [--page n] [--page-size n]
+  recipe delete <recipe> [--cascade]
+  recipe import <file> [--format jsonld|text]
+  recipe export <recipe> [--format jsonld|text]
+  cookbook create <name> [--description text] [--visibility private|shared|public]
+  cookbook list                         yours, shared with you and public ones
+  cookbook show <cookbook>
+  cookbook add <cookbook> <recipe>
+  cookbook remove <cookbook> <recipe>
+  cookbook share <cookbook> <email>
+  plan create <name> [--start YYYY-MM-DD] [--end YYYY-MM-DD]
+  plan list
+  plan add <plan> <day> <recipe> [--slot breakfast|lunch|snack|dinner] [--servings n]
+  plan show <plan>
+  plan share <plan> <email> [--role viewer|editor]
+  plan pin <plan> <entry> [--revision n]
+  plan unpin <plan> <entry>
+  plan schedule <plan> <day> [--serve HH:MM] [--slot dinner]
+  shopping-list <plan> [--strategy basic] [--format md|csv|text|json] [--subtract-pantry] [--budget n] [--save]
+  notification list [--unread]
+  notification read <notification|all>
+  notification unread <notification>
+  webhook add <url> [--event type ...] [--secret s]   every event type if no --event
+  webhook list
+  webhook remove <webhook>
+  webhook deliveries <webhook>
+  webhook deliver                       sends the deliveries that are due
+  serve [--port 3000] [--host 127.0.0.1] serves the HTTP JSON API
+  demo                                  runs the pattern demonstration
+
+Options:
+  --data <file>        JSON data file (default: $COOKING_PLAN_DATA or cooking-plan-data.json)
+  --memory             use an in-memory repository instead of the data file
+  --sample-data        seed the sample users and recipes into an empty repository
+  --token <token>      session token (default: $COOKING_PLAN_TOKEN)
+  --email <email> --password <password>
+                       sign in for this command only (default: $COOKING_PLAN_EMAIL/$COOKING_PLAN_PASSWORD)
+`;
+
+// Options that take no value; every other --option consumes the next argument
+const CLI_BOOLEAN_OPTIONS = ['memory', 'sample-data', 'cascade', 'subtract-pantry', 'save', 'unread', 'help'];
+
+// Options that may be given more than once
+const CLI_LIST_OPTIONS = ['ingredient', 'step', 'tag', 'diet', 'event'];
+
+const CLI_EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    ValidationError: 3,
+    AuthenticationError: 4,
+    ForbiddenError: 5,
+    NotFoundError: 6,
+    ConflictError: 7
+};
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+class CommandLineInterface {
+    // io: { stdout, stderr, env } so the CLI can run against captured streams
+    constructor(io = {}) {
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+        this.env = io.env || process.env;
+    }
+
+    static parseArgs(argv) {
+        const positional = [];
+        const options = {};
+        CLI_LIST_OPTIONS.forEach(name => { options[name] = []; });
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--') || arg === '--') {
+                positional.push(arg);
+                continue;
+            }
+
+            let name = arg.slice(2);
+            let value;
+            if (name.includes('=')) {
+                [name, value] = [name.slice(0, name.indexOf('=')), name.slice(name.indexOf('=') + 1)];
+            } else if (CLI_BOOLEAN_OPTIONS.includes(name)) {
+                value = true;
+            } else {
+                if (i + 1 >= argv.length) throw new UsageError(`Option --${name} needs a value`);
+                value = argv[++i];
+            }
+
+            if (CLI_LIST_OPTIONS.includes(name)) {
+                options[name].push(value);
+            } else {
+                options[name] = value;
+            }
+        }
+        return { positional, options };
+    }
+
+    // Runs one command and returns its exit code; errors go to stderr
+    run(argv) {
+        let parsed;
+        try {
+            parsed = CommandLineInterface.parseArgs(argv);
+        } catch (error) {
+            return this.fail(error);
+        }
+        const { positional, options } = parsed;
+        const [command, ...args] = positional;
+
+        if (!command || command === 'help' || options.help) {
+            this.print(CLI_USAGE.trimEnd());
+            return command || options.help ? CLI_EXIT_CODES.ok : CLI_EXIT_CODES.usage;
+        }
+        if (command === 'demo') {
+            demonstrate();
+            return CLI_EXIT_CODES.ok;
+        }
+
+        let app = null;
+        let temporarySession = false;
+        try {
+            app = this.createApplication(options);
+            const email = options.email || this.env.COOKING_PLAN_EMAIL;
+            const password = options.password || this.env.COOKING_PLAN_PASSWORD;
+            if (!options.token && email && password && !['register', 'login'].includes(command)) {
+                app.login(email, password);
+                temporarySession = true;
+            }
+
+            // The command's changes reach a file store in one write
+            return app.repository.transaction(() => {
+                switch (command) {
+                    case 'register': return this.register(app, args);
+                    case 'login': return this.login(app, args);
+                    case 'logout': return this.logout(app);
+                    case 'whoami': return this.whoami(app);
+                    case 'recipe': return this.recipe(app, args, options);
+                    case 'plan': return this.plan(app, args, options);
+                    case 'cookbook': return this.cookbook(app, args, options);
+                    case 'shopping-list': return this.shoppingList(app, args, options);
+                    case 'notification': return this.notification(app, args, options);
+                    case 'webhook': return this.webhook(app, args, options);
+                    case 'serve': return this.serve(app, options);
+                    default: throw new UsageError(`Unknown command: ${command}`);
+                }
+            });
+        } catch (error) {
+            return this.fail(error);
+        } finally {
+            if (temporarySession) app.logout();
+        }
+    }
+
+    createApplication(options) {
+        const appOptions = {
+            sampleData: Boolean(options['sample-data']),
+            onError: (error, context) => this.warn(`Warning: ${context} failed: ${error.message}`)
+        };
+        const app = options.memory
+            ? new CookingPlanApplication('memory', {}, appOptions)
+            : new CookingPlanApplication('file', {
+                filePath: options.data || this.env.COOKING_PLAN_DATA || 'cooking-plan-data.json'
+            }, appOptions);
+        return app.withSession(options.token || this.env.COOKING_PLAN_TOKEN || null);
+    }
+
+    register(app, args) {
+        const [name, email, password] = this.expectArgs(args, 3, 'register <name> <email> <password>');
+        const user = app.register(name, email, password);
+        this.print(`Registered ${user.name} <${user.email}> (${user.id})`);
+        return CLI_EXIT_CODES.ok;
+    }
+
+    login(app, args) {
+        const [email, password] = this.expectArgs(args, 2, 'login <email> <password>');
+        this.print(app.authenticate(email, password));
+        return CLI_EXIT_CODES.ok;
+    }
+
+    logout(app) {
+        app.requireUser();
+        app.logout();
+        this.print('Logged out');
+        return CLI_EXIT_CODES.ok;
+    }
+
+    whoami(app) {
+        const user = app.requireUser();
+        this.print(`${user.name} <${user.email}> (${user.id})`);
+        return CLI_EXIT_CODES.ok;
+    }
+
+    recipe(app, args, options) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case 'add': {
+                const [title] = this.expectArgs(rest, 1, 'recipe add <title> --ingredient "..." --step "..."');
+                const { ingredients, unparsedLines } = app.parseIngredientLines(options.ingredient);
+                if (unparsedLines.length > 0) {
+                    throw new ValidationError(`Could not parse ingredient: ${unparsedLines.join('; ')}`);
+                }
+                const recipe = app.createRecipe(title, ingredients, options.step, options.tag, options.diet,
+                    this.number(options.servings, 'servings', 1), options.visibility || 'private');
+                this.print(`Created recipe ${recipe.id}: ${recipe.title}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'list':
+            case 'search': {
+                const query = action === 'search'
+                    ? this.expectArgs(rest, 1, 'recipe search <query>').join(' ')
+                    : undefined;
+                const page = app.findRecipes({
+                    query,
+                    tags: options.tag,
+                    dietaryFlags: options.diet,
+                    sort: options.sort,
+                    page: options.page,
+                    pageSize: options['page-size']
+                });
+                page.results.forEach(({ recipe }) => this.print(this.describeRecipe(recipe)));
+                this.print(`(${page.total} recipe${page.total === 1 ? '' : 's'}, page ${page.page} of ${Math.max(1, page.totalPages)})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'show': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe show <recipe>');
+                const recipe = app.requireRecipe(recipeId);
+                const servings = this.number(options.servings, 'servings', recipe.servings);
+                const ingredients = servings === recipe.servings ? recipe.ingredients : app.scaleRecipe(recipeId, servings);
+
+                this.print(this.describeRecipe(recipe));
+                this.print(`Serves: ${servings}`);
+                this.print(`Time: ${recipe.getTotalMinutes()} min (${recipe.getPrepMinutes()} hands-on, ${recipe.getCookMinutes()} cooking)`);
+                if (recipe.tags.length > 0) this.print(`Tags: ${recipe.tags.join(', ')}`);
+                if (recipe.dietaryFlags.length > 0) this.print(`Diet: ${recipe.dietaryFlags.join(', ')}`);
+                this.print('\nIngredients:');
+                ingredients.forEach(ing => this.print(`  - ${ing.toString()}`));
+                this.print('\nSteps:');
+                recipe.steps.forEach((step, index) => this.print(`  ${index + 1}. ${step} (${this.describeMinutes(step)})`));
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'rate': {
+                const [recipeId, rating] = this.expectArgs(rest, 2, 'recipe rate <recipe> <1-5>');
+                app.rateRecipe(recipeId, this.number(rating, 'rating'), options.review || '');
+                const recipe = app.getRecipe(recipeId);
+                this.print(`${recipe.title}: ${recipe.rating.toFixed(1)} stars (${recipe.getVisibleRatings().length} ratings)`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'mine': {
+                app.getMyRecipes().forEach(recipe => this.print(`${this.describeRecipe(recipe)}  (${recipe.visibility})`));
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'visibility': {
+                const [recipeId, visibility] = this.expectArgs(rest, 2, 'recipe visibility <recipe> <private|shared|public>');
+                const recipe = app.setRecipeVisibility(recipeId, visibility);
+                this.print(`${recipe.title} is now ${recipe.visibility}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'share': {
+                const [recipeId, email] = this.expectArgs(rest, 2, 'recipe share <recipe> <email>');
+                const recipe = app.shareRecipe(recipeId, email);
+                this.print(`Shared ${recipe.title} with ${email}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'history': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe history <recipe>');
+                app.getRecipeRevisions(recipeId).forEach(revision => {
+                    const author = revision.authorId ? app.repository.getUser(revision.authorId) : null;
+                    const fields = revision.changes ? Object.keys(revision.changes).join(', ') : 'created';
+                    const restored = revision.restoredFrom ? ` (restored from ${revision.restoredFrom})` : '';
+                    this.print(`#${revision.number} ${revision.createdAt} ${author ? author.name : 'unknown'}: ${fields}${restored}`);
+                });
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'revision': {
+                const [recipeId, number] = this.expectArgs(rest, 2, 'recipe revision <recipe> <number>');
+                const revision = app.getRecipeRevision(recipeId, this.number(number, 'number'));
+                this.print(RecipeText.toText(revision.toRecipe()).trimEnd());
+                if (revision.changes) this.print(`\nChanges:\n${JSON.stringify(revision.changes, null, 2)}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'restore': {
+                const [recipeId, number] = this.expectArgs(rest, 2, 'recipe restore <recipe> <number>');
+                const recipe = app.restoreRecipeRevision(recipeId, this.number(number, 'number'));
+                this.print(`${recipe.title} restored from revision ${number} as revision ${recipe.revision}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'fork': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe fork <recipe>');
+                const recipe = app.forkRecipe(recipeId, options.title || null);
+                this.print(`Created recipe ${recipe.id}: ${recipe.title} (fork of ${recipeId} at revision ${recipe.forkedFrom.revision})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'upstream': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe upstream <recipe>');
+                const upstream = app.getUpstreamChanges(recipeId);
+                if (upstream.upToDate) {
+                    this.print(`${upstream.upstreamTitle} has not changed since revision ${upstream.baseRevision}`);
+                    return CLI_EXIT_CODES.ok;
+                }
+                this.print(`${upstream.upstreamTitle}: revision ${upstream.baseRevision} -> ${upstream.latestRevision}`);
+                this.print(JSON.stringify(upstream.changes, null, 2));
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'unrate': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe unrate <recipe>');
+                const recipe = app.removeRecipeRating(recipeId);
+                this.print(`Removed your rating of ${recipe.title}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'moderate': {
+                const [recipeId, userId, action] = this.expectArgs(rest, 3, 'recipe moderate <recipe> <user> <hide|show|remove>');
+                const recipe = app.moderateRecipeRating(recipeId, userId, action);
+                this.print(`${{ hide: 'Hid', show: 'Showed', remove: 'Removed' }[action]} the rating by ${userId} on ${recipe.title}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'ratings': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe ratings <recipe>');
+                const { summary, ratings } = app.getRecipeRatings(recipeId);
+                this.print(`${summary.average.toFixed(1)} stars from ${summary.count} rating${summary.count === 1 ? '' : 's'}`);
+                [5, 4, 3, 2, 1].forEach(stars => this.print(`  ${stars}★ ${summary.distribution[stars]}`));
+                ratings.forEach(rating => {
+                    const who = rating.userId ? `${rating.userName} <${rating.userId}>` : 'Anonymous';
+                    const hidden = rating.hidden ? ' [hidden]' : '';
+                    this.print(`${rating.value}★ ${who} (${rating.updatedAt.slice(0, 10)})${hidden}${rating.review ? `: ${rating.review}` : ''}`);
+                });
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'top': {
+                const limit = this.number(options.limit, 'limit', 10);
+                app.getTopRatedRecipes({ limit }).forEach(({ recipe }) => this.print(this.describeRecipe(recipe)));
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'my-ratings': {
+                app.getMyRatings().forEach(({ recipe, rating }) => {
+                    this.print(`${rating.value}★ ${recipe.id}  ${recipe.title}${rating.review ? `: ${rating.review}` : ''}`);
+                });
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'delete': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe delete <recipe>');
+                app.deleteRecipe(recipeId, { cascade: Boolean(options.cascade) });
+                this.print(`Deleted recipe ${recipeId}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'import': {
+                const [file] = this.expectArgs(rest, 1, 'recipe import <file>');
+                const format = options.format || (/\.(json|jsonld)$/i.test(file) ? 'jsonld' : 'text');
+                const result = app.importRecipes(fs.readFileSync(file, 'utf8'), format);
+                result.imported.forEach(recipe => this.print(`Imported recipe ${recipe.id}: ${recipe.title}`));
+                result.unparsedLines.forEach(({ recipe, line }) => this.warn(`${recipe}: could not parse "${line}"`));
+                result.errors.forEach(({ recipe, message }) => this.warn(`${recipe || 'Recipe'}: ${message}`));
+                return result.imported.length > 0 || result.errors.length === 0
+                    ? CLI_EXIT_CODES.ok
+                    : CLI_EXIT_CODES.ValidationError;
+            }
+            case 'export': {
+                const [recipeId] = this.expectArgs(rest, 1, 'recipe export <recipe>');
+                const output = app.exportRecipe(recipeId, options.format || 'jsonld');
+                this.print(typeof output === 'string' ? output.trimEnd() : JSON.stringify(output, null, 2));
+                return CLI_EXIT_CODES.ok;
+            }
+            default:
+                throw new UsageError(`Unknown recipe command: ${action || '(none)'}`);
+        }
+    }
+
+    plan(app, args, options) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case 'create': {
+                const [name] = this.expectArgs(rest, 1, 'plan create <name>');
+                const mealPlan = app.createMealPlan(name, options.start || null, options.end || null);
+                this.print(`Created meal plan ${mealPlan.id}: ${mealPlan.name} (${mealPlan.startDate} to ${mealPlan.endDate})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'list': {
+                const mealPlans = app.getUserMealPlans();
+                mealPlans.forEach(mealPlan => {
+                    this.print(`${mealPlan.id}  ${mealPlan.name}  ${mealPlan.startDate} to ${mealPlan.endDate}  ${mealPlan.entries.length} entries`);
+                });
+                this.print(`(${mealPlans.length} meal plan${mealPlans.length === 1 ? '' : 's'})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'add': {
+                const [planId, day, recipeId] = this.expectArgs(rest, 3, 'plan add <plan> <day> <recipe>');
+                const servings = options.servings === undefined ? null : this.number(options.servings, 'servings');
+                const mealPlan = app.addToMealPlan(planId, day, recipeId, servings, options.slot || 'dinner');
+                const entry = mealPlan.entries[mealPlan.entries.length - 1];
+                this.print(`Added ${app.getRecipe(recipeId).title} to ${mealPlan.name} on ${entry.date} (${entry.slot})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'show': {
+                const [planId] = this.expectArgs(rest, 1, 'plan show <plan>');
+                const mealPlan = app.requireMealPlan(planId);
+                this.print(`${mealPlan.name} (${mealPlan.startDate} to ${mealPlan.endDate})`);
+                mealPlan.getSortedEntries().forEach(entry => {
+                    const recipe = app.repository.getEntryRecipe(entry);
+                    const servings = entry.servings || (recipe ? recipe.servings : '?');
+                    const pinned = entry.recipeRevision !== null ? ` (revision ${entry.recipeRevision})` : '';
+                    this.print(`  ${(entry.date || 'undated').padEnd(10)} ${String(entry.day || '').padEnd(9)} ${entry.slot.padEnd(9)} ${recipe ? recipe.title : entry.recipeId}${pinned} x${servings}  [${entry.id}]`);
+                });
+                if (mealPlan.sharedWith.length > 0) {
+                    this.print(`Shared with: ${mealPlan.sharedWith.map(share => {
+                        const user = app.repository.getUser(share.userId);
+                        return `${user ? user.email : share.userId} (${share.role})`;
+                    }).join(', ')}`);
+                }
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'share': {
+                const [planId, email] = this.expectArgs(rest, 2, 'plan share <plan> <email>');
+                const role = options.role || 'viewer';
+                const mealPlan = app.shareMealPlan(planId, email, role);
+                this.print(`Shared ${mealPlan.name} with ${email} as ${role}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'pin': {
+                const [planId, entryId] = this.expectArgs(rest, 2, 'plan pin <plan> <entry>');
+                const revision = options.revision === undefined ? null : this.number(options.revision, 'revision');
+                const entry = app.pinMealPlanEntry(planId, entryId, revision).getEntry(entryId);
+                this.print(`Pinned ${entry.date} ${entry.slot} to revision ${entry.recipeRevision}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'unpin': {
+                const [planId, entryId] = this.expectArgs(rest, 2, 'plan unpin <plan> <entry>');
+                const entry = app.unpinMealPlanEntry(planId, entryId).getEntry(entryId);
+                this.print(`${entry.date} ${entry.slot} now follows the latest recipe`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'schedule': {
+                const [planId, day] = this.expectArgs(rest, 2, 'plan schedule <plan> <day>');
+                const schedule = app.scheduleCookDay(planId, day, { serveTime: options.serve, slot: options.slot });
+                if (schedule.timeline.length === 0) {
+                    this.print(`Nothing to cook on ${schedule.date}`);
+                    return CLI_EXIT_CODES.ok;
+                }
+                this.print(`Start at ${schedule.startTime} to serve at ${schedule.serveTime} on ${schedule.date}`);
+                schedule.timeline.forEach(item => {
+                    const equipment = item.equipment.length > 0 ? ` [${item.equipment.join(', ')}]` : '';
+                    this.print(`  ${item.time} ${item.text} (${item.recipeTitle}, ${this.describeMinutes(item)})${equipment}`);
+                });
+                this.print(`  ${schedule.serveTime} Serve`);
+                return CLI_EXIT_CODES.ok;
+            }
+            default:
+                throw new UsageError(`Unknown plan command: ${action || '(none)'}`);
+        }
+    }
+
+    cookbook(app, args, options) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case 'create': {
+                const [name] = this.expectArgs(rest, 1, 'cookbook create <name>');
+                const cookbook = app.createCookbook(name, options.description || '', options.visibility || 'private');
+                this.print(`Created cookbook ${cookbook.id}: ${cookbook.name} (${cookbook.visibility})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'list': {
+                const cookbooks = app.getUserCookbooks();
+                app.getPublicCookbooks()
+                    .filter(cookbook => !cookbooks.includes(cookbook))
+                    .forEach(cookbook => cookbooks.push(cookbook));
+                cookbooks.forEach(cookbook => {
+                    const owner = app.repository.getUser(cookbook.userId);
+                    this.print(`${cookbook.id}  ${cookbook.name}  by ${owner ? owner.name : 'unknown'}  (${cookbook.visibility}, ${cookbook.recipeIds.length} recipes)`);
+                });
+                this.print(`(${cookbooks.length} cookbook${cookbooks.length === 1 ? '' : 's'})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'show': {
+                const [cookbookId] = this.expectArgs(rest, 1, 'cookbook show <cookbook>');
+                const cookbook = app.getCookbook(cookbookId);
+                this.print(`${cookbook.name} (${cookbook.visibility})`);
+                if (cookbook.description) this.print(cookbook.description);
+                app.getCookbookRecipes(cookbookId).forEach(recipe => this.print(`  ${this.describeRecipe(recipe)}`));
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'add':
+            case 'remove': {
+                const [cookbookId, recipeId] = this.expectArgs(rest, 2, `cookbook ${action} <cookbook> <recipe>`);
+                const cookbook = action === 'add'
+                    ? app.addRecipeToCookbook(cookbookId, recipeId)
+                    : app.removeRecipeFromCookbook(cookbookId, recipeId);
+                this.print(`${cookbook.name} now has ${cookbook.recipeIds.length} recipe${cookbook.recipeIds.length === 1 ? '' : 's'}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'share': {
+                const [cookbookId, email] = this.expectArgs(rest, 2, 'cookbook share <cookbook> <email>');
+                const cookbook = app.shareCookbook(cookbookId, email);
+                this.print(`Shared ${cookbook.name} with ${email}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            default:
+                throw new UsageError(`Unknown cookbook command: ${action || '(none)'}`);
+        }
+    }
+
+    shoppingList(app, args, options) {
+        const [planId] = this.expectArgs(args, 1, 'shopping-list <plan>');
+        const strategy = options.strategy || 'basic';
+        const strategyOptions = { subtractPantry: Boolean(options['subtract-pantry']) };
+        if (options.budget !== undefined) strategyOptions.weeklyBudget = this.number(options.budget, 'budget');
+
+        const format = options.format || 'md';
+        let report = null;
+        if (options.save) {
+            const { list, budget } = app.createShoppingListWithBudget(planId, strategy, strategyOptions);
+            this.print(app.exportShoppingList(list.id, format).trimEnd());
+            this.warn(`Saved shopping list ${list.id}`);
+            report = budget;
+        } else {
+            const { ingredients, budget } = app.generateShoppingListWithBudget(planId, strategy, strategyOptions);
+            this.print(app.exportShoppingList(ingredients, format).trimEnd());
+            report = budget;
+        }
+        // The cost report goes to stderr so stdout stays a clean list
+        if (report) {
+            const budget = report.budget === null ? '' : ` (budget ${report.budget.toFixed(2)})`;
+            this.warn(`Estimated cost: ${report.total.toFixed(2)}${budget}`);
+            report.warnings.forEach(warning => this.warn(`Warning: ${warning}`));
+        }
+        return CLI_EXIT_CODES.ok;
+    }
+
+    notification(app, args, options) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case 'list': {
+                const notifications = app.getNotifications({ unreadOnly: Boolean(options.unread) });
+                notifications.forEach(notification => {
+                    this.print(`${notification.id}  ${notification.isRead() ? ' ' : '*'} ${notification.createdAt.slice(0, 16).replace('T', ' ')}  ${notification.message}`);
+                });
+                this.print(`(${app.getUnreadNotificationCount()} unread)`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'read': {
+                const [notificationId] = this.expectArgs(rest, 1, 'notification read <notification|all>');
+                if (notificationId === 'all') {
+                    const count = app.markAllNotificationsRead();
+                    this.print(`Marked ${count} notification${count === 1 ? '' : 's'} read`);
+                } else {
+                    app.markNotificationRead(notificationId);
+                    this.print(`Marked ${notificationId} read`);
+                }
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'unread': {
+                const [notificationId] = this.expectArgs(rest, 1, 'notification unread <notification>');
+                app.markNotificationRead(notificationId, false);
+                this.print(`Marked ${notificationId} unread`);
+                return CLI_EXIT_CODES.ok;
+            }
+            default:
+                throw new UsageError(`Unknown notification command: ${action || '(none)'}`);
+        }
+    }
+
+    webhook(app, args, options) {
+        const [action, ...rest] = args;
+        switch (action) {
+            case 'add': {
+                const [url] = this.expectArgs(rest, 1, 'webhook add <url>');
+                const eventTypes = options.event.length > 0 ? options.event : ['*'];
+                const webhook = app.addWebhook(url, eventTypes, options.secret || null);
+                this.print(`Added webhook ${webhook.id}: ${webhook.url} (${webhook.eventTypes.join(', ')})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'list': {
+                const webhooks = app.getMyWebhooks();
+                webhooks.forEach(webhook => this.print(`${webhook.id}  ${webhook.url}  (${webhook.eventTypes.join(', ')})`));
+                this.print(`(${webhooks.length} webhook${webhooks.length === 1 ? '' : 's'})`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'remove': {
+                const [webhookId] = this.expectArgs(rest, 1, 'webhook remove <webhook>');
+                app.removeWebhook(webhookId);
+                this.print(`Removed webhook ${webhookId}`);
+                return CLI_EXIT_CODES.ok;
+            }
+            case 'deliveries': {
+                const [webhookId] = this.expectArgs(rest, 1, 'webhook deliveries <webhook>');
+                app.getWebhookDeliveries(webhookId).forEach(message => {
+                    const error = message.lastError ? `  ${message.lastError}` : '';
+                    this.print(`${message.id}  ${message.event.type}  ${message.status} after ${message.attempts} attempt${message.attempts === 1 ? '' : 's'}${error}`);
+                });
+                return CLI_EXIT_CODES.ok;
+            }
+            // Finishes after the requests do; the exit code follows then
+            case 'deliver': {
+                app.requireUser();
+                app.deliverWebhooks()
+                    .then(summary => this.print(
+                        `Attempted ${summary.attempted}: ${summary.delivered} delivered, ${summary.retrying} to retry, ${summary.failed} failed`))
+                    .catch(error => {
+                        process.exitCode = this.fail(error);
+                    });
+                return CLI_EXIT_CODES.ok;
+            }
+            default:
+                throw new UsageError(`Unknown webhook command: ${action || '(none)'}`);
+        }
+    }
+
+    // Keeps the process alive until the server is closed, delivering
+    // webhooks in the background meanwhile
+    serve(app, options) {
+        const port = this.number(options.port, 'port', 3000);
+        const host = options.host || '127.0.0.1';
+        new CookingPlanHttpApi(app).listen(port, host)
+            .then(server => {
+                const stopDelivery = app.startWebhookDelivery();
+                server.on('close', stopDelivery);
+                this.warn(`Listening on http://${host}:${server.address().port}`);
+            })
+            .catch(error => {
+                process.exitCode = this.fail(error);
+            });
+        return CLI_EXIT_CODES.ok;
+    }
+
+    describeMinutes(step) {
+        const parts = [];
+        if (step.activeMinutes > 0) parts.push(`${step.activeMinutes} min`);
+        if (step.passiveMinutes > 0) parts.push(`${step.passiveMinutes} min hands-off`);
+        return parts.join(' + ') || 'no time';
+    }
+
+    describeRecipe(recipe) {
+        const count = recipe.getVisibleRatings().length;
+        const rating = count > 0 ? `  ${recipe.rating.toFixed(1)}★ (${count})` : '';
+        return `${recipe.id}  ${recipe.title}${rating}`;
+    }
+
+    expectArgs(args, count, usage) {
+        if (args.length < count) throw new UsageError(`Usage: ${usage}`);
+        return args;
+    }
+
+    number(value, name, fallback = undefined) {
+        if (value === undefined && fallback !== undefined) return fallback;
+        const number = Number(value);
+        if (value === undefined || value === true || !Number.isFinite(number)) {
+            throw new UsageError(`--${name} must be a number`);
+        }
+        return number;
+    }
+
+    print(text) {
+        this.stdout.write(`${text}\n`);
+    }
+
+    warn(text) {
+        this.stderr.write(`${text}\n`);
+    }
+
+    fail(error) {
+        this.warn(`Error: ${error.message}`);
+        if (error instanceof UsageError) return CLI_EXIT_CODES.usage;
+        return CLI_EXIT_CODES[error.name] || CLI_EXIT_CODES.error;
+    }
+}
+
+// -----------------------------
+// 6. HTTP API
+// -----------------------------
+
+const HTTP_STATUS_BY_ERROR = {
+    ValidationError: 400,
+    AuthenticationError: 401,
+    ForbiddenError: 403,
+    NotFoundError: 404,
+    MethodNotAllowedError: 405,
+    ConflictError: 409,
+    PayloadTooLargeError: 413
+};
+
+const HTTP_MAX_BODY_BYTES = 1024 * 1024;
+const HTTP_DEFAULT_PAGE_SIZE = 20;
+const HTTP_MAX_PAGE_SIZE = 100;
+
+class MethodNotAllowedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MethodNotAllowedError';
+    }
+}
+
+class PayloadTooLargeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PayloadTooLargeError';
+    }
+}
+
+// JSON REST API over the facade. Requests authenticate with
+// "Authorization: Bearer <token>" (POST /sessions hands one out); each
+// request runs against app.withSession(token), so the facade's own checks
+// decide access and its typed errors become the status codes above. Errors
+// that become a 500 go to options.onError (the application's by default).
+//
+//   const api = new CookingPlanHttpApi(app);
+//   const server = await api.listen(0);   // in-process, on a free port
+class CookingPlanHttpApi {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.onError = options.onError || app.onError;
+        this.routes = [];
+        this.registerRoutes();
+    }
+
+    // pattern segments starting with ":" become params
+    route(method, pattern, handler) {
+        const segments = pattern.split('/').filter(segment => segment);
+        this.routes.push({ method, segments, handler });
+    }
+
+    registerRoutes() {
+        // Users and sessions
+        this.route('POST', '/users', (app, req) => {
+            const body = this.validate(req.body, { name: 'string', email: 'string', password: 'string' });
+            return this.created(this.serializeUser(app.register(body.name, body.email, body.password)));
+        });
+        this.route('POST', '/sessions', (app, req) => {
+            const body = this.validate(req.body, { email: 'string', password: 'string' });
+            const token = app.authenticate(body.email, body.password);
+            return this.created({ token, user: this.serializeUser(app.withSession(token).getCurrentUser()) });
+        });
+        this.route('DELETE', '/sessions', app => {
+            app.requireUser();
+            app.logout();
+            return this.noContent();
+        });
+        this.route('GET', '/users/me', app => this.serializeUser(app.requireUser()));
+
+        // Recipes, ratings and search (?q= searches, the other criteria filter)
+        this.route('GET', '/recipes', (app, req) => {
+            const { page, pageSize } = this.pageParams(req.query);
+            const result = app.findRecipes({
+                query: req.query.get('q') || undefined,
+                tags: req.query.getAll('tag'),
+                dietaryFlags: req.query.getAll('diet'),
+                includeIngredients: req.query.getAll('include'),
+                excludeIngredients: req.query.getAll('exclude'),
+                minRating: req.query.has('minRating') ? this.queryNumber(req.query, 'minRating') : undefined,
+                sort: req.query.get('sort') || undefined,
+                page,
+                pageSize
+            });
+            return {
+                items: result.results.map(item => Object.assign({ score: item.score }, item.recipe)),
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages
+            };
+        });
+        this.route('POST', '/recipes', (app, req) => {
+            const body = this.validate(req.body, {
+                title: 'string', ingredients: 'array', steps: 'array?', tags: 'array?', dietaryFlags: 'array?', servings: 'number?',
+                visibility: 'string?'
+            });
+            return this.created(app.createRecipe(body.title, this.readIngredients(app, body.ingredients), body.steps || [],
+                body.tags || [], body.dietaryFlags || [], body.servings === undefined ? 1 : body.servings,
+                body.visibility || 'private'));
+        });
+        this.route('GET', '/recipes/top-rated', (app, req) => {
+            const minCount = req.query.has('minCount') ? this.queryNumber(req.query, 'minCount') : 1;
+            return this.paginate(app.getTopRatedRecipes({ limit: Infinity, minCount }), req.query);
+        });
+        this.route('GET', '/recipes/:recipeId', (app, req, params) => {
+            const recipe = app.getRecipe(params.recipeId);
+            if (!req.query.has('servings')) return recipe;
+            const servings = this.queryNumber(req.query, 'servings');
+            return Object.assign({}, recipe, { servings, ingredients: app.scaleRecipe(recipe.id, servings) });
+        });
+        this.route('PATCH', '/recipes/:recipeId', (app, req, params) => {
+            const body = this.validate(req.body, {
+                title: 'string?', ingredients: 'array?', steps: 'array?', tags: 'array?', dietaryFlags: 'array?', servings: 'number?',
+                visibility: 'string?'
+            });
+            const changes = Object.assign({}, body);
+            if (body.ingredients) changes.ingredients = this.readIngredients(app, body.ingredients);
+            return app.updateRecipe(params.recipeId, changes);
+        });
+        this.route('DELETE', '/recipes/:recipeId', (app, req, params) => {
+            app.deleteRecipe(params.recipeId, { cascade: req.query.get('cascade') === 'true' });
+            return this.noContent();
+        });
+        // Creates the caller's rating (201) or replaces it (200)
+        this.route('PUT', '/recipes/:recipeId/ratings/me', (app, req, params) => {
+            const body = this.validate(req.body, { rating: 'number', review: 'string?' });
+            const existed = Boolean(app.getRecipe(params.recipeId).getRating(app.requireUser().id));
+            const rating = app.rateRecipe(params.recipeId, body.rating, body.review || '');
+            return existed ? rating : this.created(rating);
+        });
+        this.route('DELETE', '/recipes/:recipeId/ratings/me', (app, req, params) => {
+            app.removeRecipeRating(params.recipeId);
+            return this.noContent();
+        });
+        // The recipe's author hides, shows or removes someone's rating
+        this.route('POST', '/recipes/:recipeId/ratings/:userId/moderation', (app, req, params) => {
+            const body = this.validate(req.body, { action: 'string' });
+            return app.moderateRecipeRating(params.recipeId, params.userId, body.action);
+        });
+        this.route('GET', '/recipes/:recipeId/ratings', (app, req, params) => {
+            const { summary, ratings } = app.getRecipeRatings(params.recipeId);
+            return Object.assign({ summary }, this.paginate(ratings, req.query));
+        });
+        this.route('GET', '/recipes/:recipeId/revisions', (app, req, params) => {
+            return this.paginate(app.getRecipeRevisions(params.recipeId), req.query);
+        });
+        this.route('GET', '/recipes/:recipeId/revisions/:number', (app, req, params) => {
+            return app.getRecipeRevision(params.recipeId, this.pathNumber(params.number));
+        });
+        this.route('POST', '/recipes/:recipeId/revisions/:number/restore', (app, req, params) => {
+            return app.restoreRecipeRevision(params.recipeId, this.pathNumber(params.number));
+        });
+        this.route('POST', '/recipes/:recipeId/forks', (app, req, params) => {
+            const body = this.validate(req.body, { title: 'string?' });
+            return this.created(app.forkRecipe(params.recipeId, body.title || null));
+        });
+        this.route('GET', '/recipes/:recipeId/upstream', (app, req, params) => app.getUpstreamChanges(params.recipeId));
+        this.route('POST', '/recipes/:recipeId/shares', (app, req, params) => {
+            const body = this.validate(req.body, { email: 'string' });
+            return this.created(app.shareRecipe(params.recipeId, body.email));
+        });
+        this.route('DELETE', '/recipes/:recipeId/shares/:email', (app, req, params) => {
+            app.unshareRecipe(params.recipeId, params.email);
+            return this.noContent();
+        });
+        this.route('GET', '/users/me/recipes', (app, req) => this.paginate(app.getMyRecipes(), req.query));
+        this.route('GET', '/users/me/ratings', (app, req) => this.paginate(app.getMyRatings(), req.query));
+
+        // Cookbooks (GET /cookbooks lists your own and shared ones, ?public=true the public ones)
+        this.route('GET', '/cookbooks', (app, req) => {
+            const cookbooks = req.query.get('public') === 'true' ? app.getPublicCookbooks() : app.getUserCookbooks();
+            return this.paginate(cookbooks, req.query);
+        });
+        this.route('POST', '/cookbooks', (app, req) => {
+            const body = this.validate(req.body, { name: 'string', description: 'string?', visibility: 'string?' });
+            return this.created(app.createCookbook(body.name, body.description || '', body.visibility || 'private'));
+        });
+        this.route('GET', '/cookbooks/:cookbookId', (app, req, params) => app.getCookbook(params.cookbookId));
+        this.route('PATCH', '/cookbooks/:cookbookId', (app, req, params) => {
+            const changes = this.validate(req.body, { name: 'string?', description: 'string?', visibility: 'string?' });
+            return app.updateCookbook(params.cookbookId, changes);
+        });
+        this.route('DELETE', '/cookbooks/:cookbookId', (app, req, params) => {
+            app.deleteCookbook(params.cookbookId);
+            return this.noContent();
+        });
+        this.route('GET', '/cookbooks/:cookbookId/recipes', (app, req, params) => {
+            return this.paginate(app.getCookbookRecipes(params.cookbookId), req.query);
+        });
+        this.route('POST', '/cookbooks/:cookbookId/recipes', (app, req, params) => {
+            const body = this.validate(req.body, { recipeId: 'string' });
+            return this.created(app.addRecipeToCookbook(params.cookbookId, body.recipeId));
+        });
+        this.route('DELETE', '/cookbooks/:cookbookId/recipes/:recipeId', (app, req, params) => {
+            app.removeRecipeFromCookbook(params.cookbookId, params.recipeId);
+            return this.noContent();
+        });
+        this.route('POST', '/cookbooks/:cookbookId/shares', (app, req, params) => {
+            const body = this.validate(req.body, { email: 'string' });
+            return this.created(app.shareCookbook(params.cookbookId, body.email));
+        });
+        this.route('DELETE', '/cookbooks/:cookbookId/shares/:email', (app, req, params) => {
+            app.unshareCookbook(params.cookbookId, params.email);
+            return this.noContent();
+        });
+
+        // Meal plans, entries and sharing
+        this.route('GET', '/meal-plans', (app, req) => this.paginate(app.getUserMealPlans(), req.query));
+        this.route('POST', '/meal-plans', (app, req) => {
+            const body = this.validate(req.body, { name: 'string', startDate: 'string?', endDate: 'string?' });
+            return this.created(app.createMealPlan(body.name, body.startDate || null, body.endDate || null));
+        });
+        this.route('GET', '/meal-plans/:planId', (app, req, params) => {
+            return app.getMealPlan(params.planId).forViewer(app.getCurrentUser().id);
+        });
+        this.route('PATCH', '/meal-plans/:planId', (app, req, params) => {
+            const body = this.validate(req.body, { name: 'string' });
+            return app.renameMealPlan(params.planId, body.name);
+        });
+        this.route('DELETE', '/meal-plans/:planId', (app, req, params) => {
+            app.deleteMealPlan(params.planId);
+            return this.noContent();
+        });
+        this.route('GET', '/meal-plans/:planId/entries', (app, req, params) => {
+            return this.paginate(app.getMealPlan(params.planId).getSortedEntries(), req.query);
+        });
+        this.route('POST', '/meal-plans/:planId/entries', (app, req, params) => {
+            const body = this.validate(req.body, {
+                day: 'string', recipeId: 'string', servings: 'number?', slot: 'string?', recipeRevision: 'number?'
+            });
+            const mealPlan = app.addToMealPlan(params.planId, body.day, body.recipeId,
+                body.servings === undefined ? null : body.servings, body.slot || 'dinner',
+                body.recipeRevision === undefined ? null : body.recipeRevision);
+            return this.created(mealPlan.entries[mealPlan.entries.length - 1]);
+        });
+        this.route('PATCH', '/meal-plans/:planId/entries/:entryId', (app, req, params) => {
+            const changes = this.validate(req.body, { day: 'string?', slot: 'string?', recipeId: 'string?', servings: 'number?' });
+            const mealPlan = app.updateMealPlanEntry(params.planId, params.entryId, changes);
+            return mealPlan.getEntry(params.entryId);
+        });
+        // Pins the entry to { revision } (default: the recipe's current one)
+        this.route('PUT', '/meal-plans/:planId/entries/:entryId/pin', (app, req, params) => {
+            const body = this.validate(req.body, { revision: 'number?' });
+            return app.pinMealPlanEntry(params.planId, params.entryId, body.revision === undefined ? null : body.revision)
+                .getEntry(params.entryId);
+        });
+        this.route('DELETE', '/meal-plans/:planId/entries/:entryId/pin', (app, req, params) => {
+            return app.unpinMealPlanEntry(params.planId, params.entryId).getEntry(params.entryId);
+        });
+        this.route('DELETE', '/meal-plans/:planId/entries/:entryId', (app, req, params) => {
+            app.removeMealPlanEntry(params.planId, params.entryId);
+            return this.noContent();
+        });
+        this.route('GET', '/meal-plans/:planId/schedule', (app, req, params) => {
+            if (!req.query.get('day')) throw new ValidationError('day is required');
+            return app.scheduleCookDay(params.planId, req.query.get('day'), {
+                serveTime: req.query.get('serveTime') || undefined,
+                slot: req.query.get('slot') || undefined
+            });
+        });
+        this.route('GET', '/meal-plans/:planId/shares', (app, req, params) => app.getMealPlan(params.planId).sharedWith);
+        this.route('POST', '/meal-plans/:planId/shares', (app, req, params) => {
+            const body = this.validate(req.body, { email: 'string', role: 'string?' });
+            return this.created(app.shareMealPlan(params.planId, body.email, body.role || 'viewer').sharedWith);
+        });
+        this.route('DELETE', '/meal-plans/:planId/shares/:email', (app, req, params) => {
+            app.revokeMealPlanAccess(params.planId, params.email);
+            return this.noContent();
+        });
+
+        // Shopping lists: generated on the fly per plan, or saved and ticked off
+        this.route('GET', '/meal-plans/:planId/shopping-list', (app, req, params) => {
+            const strategy = req.query.get('strategy') || 'basic';
+            const options = this.strategyOptions(req.query);
+            const { ingredients, budget } = app.generateShoppingListWithBudget(params.planId, strategy, options);
+            if (!req.query.has('format')) {
+                const items = app.toShoppingListItems(ingredients);
+                return budget ? { items, budget } : { items };
+            }
+            return this.text(app.exportShoppingList(ingredients, req.query.get('format')), req.query.get('format'));
+        });
+        this.route('GET', '/shopping-lists', (app, req) => this.paginate(app.getUserShoppingLists(), req.query));
+        this.route('POST', '/shopping-lists', (app, req) => {
+            const body = this.validate(req.body, {
+                mealPlanId: 'string', strategy: 'string?', name: 'string?', subtractPantry: 'boolean?', weeklyBudget: 'number?'
+            });
+            const options = { subtractPantry: Boolean(body.subtractPantry) };
+            if (body.name) options.name = body.name;
+            if (body.weeklyBudget !== undefined) options.weeklyBudget = body.weeklyBudget;
+            const { list, budget } = app.createShoppingListWithBudget(body.mealPlanId, body.strategy || 'basic', options);
+            return this.created(budget ? Object.assign({}, list, { budget }) : list);
+        });
+        this.route('GET', '/shopping-lists/:listId', (app, req, params) => {
+            if (!req.query.has('format')) return app.getShoppingList(params.listId);
+            return this.text(app.exportShoppingList(params.listId, req.query.get('format')), req.query.get('format'));
+        });
+        this.route('PATCH', '/shopping-lists/:listId/items/:itemId', (app, req, params) => {
+            const body = this.validate(req.body, { checked: 'boolean' });
+            return app.setShoppingListItemChecked(params.listId, params.itemId, body.checked);
+        });
+        this.route('DELETE', '/shopping-lists/:listId', (app, req, params) => {
+            app.deleteShoppingList(params.listId);
+            return this.noContent();
+        });
+
+        // Notification inbox (?unread=true for unread only)
+        this.route('GET', '/notifications', (app, req) => {
+            const notifications = app.getNotifications({ unreadOnly: req.query.get('unread') === 'true' });
+            return Object.assign(this.paginate(notifications, req.query), { unreadCount: app.getUnreadNotificationCount() });
+        });
+        this.route('POST', '/notifications/read-all', app => ({ marked: app.markAllNotificationsRead() }));
+        this.route('PATCH', '/notifications/:notificationId', (app, req, params) => {
+            const body = this.validate(req.body, { read: 'boolean' });
+            return app.markNotificationRead(params.notificationId, body.read);
+        });
+        this.route('DELETE', '/notifications/:notificationId', (app, req, params) => {
+            app.deleteNotification(params.notificationId);
+            return this.noContent();
+        });
 
-class MemoryRepository {
-    constructor() {
-        this.recipes = new Map();
-        this.mealPlans = new Map();
-        this.users = new Map();
-        this.currentUserId = null;
+        // The current user's webhooks and their deliveries
+        this.route('GET', '/webhooks', app => app.getMyWebhooks().map(webhook => this.serializeWebhook(webhook)));
+        this.route('POST', '/webhooks', (app, req) => {
+            const body = this.validate(req.body, { url: 'string', eventTypes: 'array?', secret: 'string?' });
+            return this.created(this.serializeWebhook(app.addWebhook(body.url, body.eventTypes || ['*'], body.secret || null)));
+        });
+        this.route('DELETE', '/webhooks/:webhookId', (app, req, params) => {
+            app.removeWebhook(params.webhookId);
+            return this.noContent();
+        });
+        this.route('GET', '/webhooks/:webhookId/deliveries', (app, req, params) => {
+            return this.paginate(app.getWebhookDeliveries(params.webhookId), req.query);
+        });
     }
 
-    // Recipe methods
-    saveRecipe(recipe) {
-        if (!recipe.id) {
-            recipe.id = `recipe-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        }
-        this.recipes.set(recipe.id, recipe);
-        return recipe.id;
+    createServer() {
+        return http.createServer((req, res) => {
+            this.handle(req, res);
+        });
     }
 
-    getRecipe(id) {
-        return this.recipes.get(id);
+    // Resolves with the listening server; port 0 picks a free port
+    // (server.address().port)
+    listen(port = 0, host = '127.0.0.1') {
+        const server = this.createServer();
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(server));
+        });
     }
 
-    getAllRecipes() {
-        return Array.from(this.recipes.values());
+    handle(req, res) {
+        return this.readBody(req)
+            .then(body => {
+                const url = new URL(req.url, 'http://localhost');
+                const { route, params } = this.match(req.method, url.pathname);
+                const authorization = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+                const app = this.app.withSession(authorization ? authorization[1] : null);
+                const request = { body, query: url.searchParams, headers: req.headers };
+                // The request's changes reach a file store in one write
+                return app.repository.transaction(() => route.handler(app, request, params));
+            })
+            .then(result => this.send(res, result))
+            .catch(error => {
+                const status = HTTP_STATUS_BY_ERROR[error.name] || 500;
+                const message = status === 500 ? 'Internal server error' : error.message;
+                if (status === 500) this.onError(error, `${req.method} ${req.url}`);
+                if (error instanceof PayloadTooLargeError) res.setHeader('Connection', 'close');
+                this.send(res, { status, body: { error: { type: error.name, message } } });
+            });
     }
 
-    deleteRecipe(id) {
-        return this.recipes.delete(id);
-    }
+    match(method, pathname) {
+        const segments = pathname.split('/').filter(segment => segment).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                throw new ValidationError(`Malformed URL escape in ${pathname}`);
+            }
+        });
+        let pathMatched = false;
 
-    // Meal Plan methods
-    saveMealPlan(mealPlan) {
-        if (!mealPlan.id) {
-            mealPlan.id = `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        for (const route of this.routes) {
+            if (route.segments.length !== segments.length) continue;
+            const params = {};
+            const matches = route.segments.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    params[segment.slice(1)] = segments[index];
+                    return true;
+                }
+                return segment === segments[index];
+            });
+            if (!matches) continue;
+            if (route.method === method) return { route, params };
+            pathMatched = true;
         }
-        this.mealPlans.set(mealPlan.id, mealPlan);
-        return mealPlan.id;
-    }
 
-    getMealPlan(id) {
-        return this.mealPlans.get(id);
+        if (pathMatched) throw new MethodNotAllowedError(`${method} not allowed on ${pathname}`);
+        throw new NotFoundError(`No route for ${method} ${pathname}`);
     }
 
-    getUserMealPlans(userId) {
-        return Array.from(this.mealPlans.values()).filter(plan => plan.userId === userId);
+    // Past HTTP_MAX_BODY_BYTES the rest is drained, not buffered, so the
+    // socket stays up for the 413 answer
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > HTTP_MAX_BODY_BYTES) {
+                    req.removeAllListeners('data');
+                    req.resume();
+                    reject(new PayloadTooLargeError('Request body is too large'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (!text.trim()) return resolve({});
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new ValidationError('Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
     }
 
-    // User methods
-    saveUser(user) {
-        if (!user.id) {
-            user.id = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Handlers return a plain value (200 JSON) or { status, body, contentType }
+    send(res, result) {
+        const response = result && result.status ? result : { status: 200, body: result };
+        if (response.status === 204) {
+            res.writeHead(204);
+            res.end();
+            return;
         }
-        this.users.set(user.id, user);
-        return user.id;
-    }
 
-    getUser(id) {
-        return this.users.get(id);
+        const payload = response.contentType ? String(response.body) : JSON.stringify(response.body);
+        res.writeHead(response.status, {
+            'Content-Type': response.contentType || 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
     }
 
-    getUserByEmail(email) {
-        return Array.from(this.users.values()).find(user => user.email === email);
+    created(body) {
+        return { status: 201, body };
     }
 
-    // Current user management
-    setCurrentUser(user) {
-        this.currentUserId = user ? user.id : null;
+    noContent() {
+        return { status: 204 };
     }
 
-    getCurrentUser() {
-        return this.currentUserId ? this.getUser(this.currentUserId) : null;
+    text(body, format) {
+        const types = { csv: 'text/csv', json: 'application/json', markdown: 'text/markdown', md: 'text/markdown' };
+        return { status: 200, body, contentType: `${types[format] || 'text/plain'}; charset=utf-8` };
     }
-}
-
-// -----------------------------
-// 3. STRATEGY PATTERN: Shopping List Strategies
-// -----------------------------
 
-class ShoppingListStrategy {
-    generate(mealPlan, recipeRepo) {
-        throw new Error('generate method must be implemented');
-    }
-}
+    // schema maps field -> 'string' | 'number' | 'boolean' | 'array' | 'object',
+    // with a trailing "?" for optional fields. Unknown fields are dropped.
+    validate(body, schema) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new ValidationError('Request body must be a JSON object');
 
-class BasicShoppingListStrategy extends ShoppingListStrategy {
-    generate(mealPlan, recipeRepo) {
-        const recipeIds = mealPlan.getRecipeIds();
-        const ingredientsMap = new Map();
-        
-        recipeIds.forEach(recipeId => {
-            const recipe = recipeRepo.getRecipe(recipeId);
-            if (recipe && recipe.ingredients) {
-                recipe.ingredients.forEach(ing => {
-                    const key = `${ing.name}-${ing.unit}`;
-                    if (ingredientsMap.has(key)) {
-                        const existing = ingredientsMap.get(key);
-                        existing.amount += ing.amount;
-                    } else {
-                        ingredientsMap.set(key, {
-                            name: ing.name,
-                            amount: ing.amount,
-                            unit: ing.unit
-                        });
-                    }
-                });
+        const problems = [];
+        const values = {};
+        Object.entries(schema).forEach(([field, spec]) => {
+            const optional = spec.endsWith('?');
+            const type = spec.replace('?', '');
+            const value = body[field];
+            if (value === undefined || value === null) {
+                if (!optional) problems.push(`${field} is required`);
+                return;
             }
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (actual !== type || (type === 'number' && !Number.isFinite(value))) {
+                problems.push(`${field} must be a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`);
+                return;
+            }
+            values[field] = value;
         });
-        
-        return Array.from(ingredientsMap.values()).map(item => 
-            new Ingredient(item.name, item.amount, item.unit)
-        );
-    }
-}
 
-class VeganShoppingListStrategy extends ShoppingListStrategy {
-    generate(mealPlan, recipeRepo) {
-        const basicStrategy = new BasicShoppingListStrategy();
-        const allIngredients = basicStrategy.generate(mealPlan, recipeRepo);
-        
-        const nonVegan = ['meat', 'chicken', 'beef', 'pork', 'fish', 'egg', 'milk', 'cheese', 'butter', 'honey'];
-        
-        return allIngredients.filter(ingredient =>
-            !nonVegan.some(item => ingredient.name.toLowerCase().includes(item))
-        );
+        if (problems.length > 0) throw new ValidationError(problems.join('; '));
+        return values;
     }
-}
 
-class GlutenFreeShoppingListStrategy extends ShoppingListStrategy {
-    generate(mealPlan, recipeRepo) {
-        const basicStrategy = new BasicShoppingListStrategy();
-        const allIngredients = basicStrategy.generate(mealPlan, recipeRepo);
-        
-        const gluten = ['wheat', 'flour', 'bread', 'pasta', 'barley', 'rye'];
-        
-        return allIngredients.filter(ingredient =>
-            !gluten.some(item => ingredient.name.toLowerCase().includes(item))
-        );
-    }
-}
+    // Ingredients arrive as { name, amount, unit } objects or lines like "2 cloves garlic"
+    readIngredients(app, items) {
+        const lines = items.filter(item => typeof item === 'string');
+        const { ingredients, unparsedLines } = app.parseIngredientLines(lines);
+        if (unparsedLines.length > 0) throw new ValidationError(`Could not parse ingredient: ${unparsedLines.join('; ')}`);
 
-// Strategy Factory
-class ShoppingListStrategyFactory {
-    static createStrategy(type) {
-        switch(type) {
-            case 'basic':
-                return new BasicShoppingListStrategy();
-            case 'vegan':
-                return new VeganShoppingListStrategy();
-            case 'glutenFree':
-                return new GlutenFreeShoppingListStrategy();
-            default:
-                return new BasicShoppingListStrategy();
-        }
+        return items.map(item => {
+            if (typeof item === 'string') return ingredients.shift();
+            const { name, amount, unit } = this.validate(item, { name: 'string', amount: 'number', unit: 'string?' });
+            return new Ingredient(name, amount, unit || '');
+        });
     }
-}
-
-// -----------------------------
-// 4. FACADE PATTERN: Cooking Plan Application
-// -----------------------------
 
-class CookingPlanApplication {
-    constructor() {
-        // Use Factory Pattern to create repository
-        this.repository = RepositoryFactory.createRepository('memory');
-        
-        // Initialize with sample data
-        this.initializeSampleData();
-    }
-    
-    // User Management
-    register(name, email) {
-        const user = new User(null, name, email);
-        const userId = this.repository.saveUser(user);
-        return this.repository.getUser(userId);
-    }
-    
-    login(email) {
-        const user = this.repository.getUserByEmail(email);
-        if (user) {
-            this.repository.setCurrentUser(user);
-            return user;
-        }
-        return null;
-    }
-    
-    logout() {
-        this.repository.setCurrentUser(null);
-    }
-    
-    getCurrentUser() {
-        return this.repository.getCurrentUser();
-    }
-    
-    isLoggedIn() {
-        return this.getCurrentUser() !== null;
-    }
-    
-    // Recipe Management
-    createRecipe(title, ingredients, steps, tags = [], dietaryFlags = []) {
-        if (!this.isLoggedIn()) throw new Error('Must be logged in');
-        
-        const recipe = new Recipe(null, title, ingredients, steps, tags, dietaryFlags);
-        this.repository.saveRecipe(recipe);
-        return recipe;
+    strategyOptions(query) {
+        const options = { subtractPantry: query.get('subtractPantry') === 'true' };
+        if (query.has('weeklyBudget')) options.weeklyBudget = this.queryNumber(query, 'weeklyBudget');
+        return options;
     }
-    
-    getRecipe(id) {
-        return this.repository.getRecipe(id);
+
+    pathNumber(value) {
+        if (!/^\d+$/.test(value)) throw new ValidationError(`Not a number: ${value}`);
+        return Number(value);
     }
-    
-    getAllRecipes() {
-        return this.repository.getAllRecipes();
+
+    queryNumber(query, name) {
+        const value = Number(query.get(name));
+        if (query.get(name) === '' || !Number.isFinite(value)) throw new ValidationError(`${name} must be a number`);
+        return value;
     }
-    
-    rateRecipe(recipeId, rating) {
-        const recipe = this.repository.getRecipe(recipeId);
-        if (!recipe) throw new Error('Recipe not found');
-        
-        const success = recipe.rate(rating);
-        if (success) {
-            this.repository.saveRecipe(recipe);
+
+    pageParams(query) {
+        const page = query.has('page') ? this.queryNumber(query, 'page') : 1;
+        const pageSize = query.has('pageSize') ? this.queryNumber(query, 'pageSize') : HTTP_DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(page) || page < 1) throw new ValidationError('page must be a positive whole number');
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > HTTP_MAX_PAGE_SIZE) {
+            throw new ValidationError(`pageSize must be a whole number from 1 to ${HTTP_MAX_PAGE_SIZE}`);
         }
-        return success;
-    }
-    
-    searchRecipes(query) {
-        const allRecipes = this.repository.getAllRecipes();
-        const lowerQuery = query.toLowerCase();
-        
-        return allRecipes.filter(recipe =>
-            recipe.title.toLowerCase().includes(lowerQuery) ||
-            (recipe.tags && recipe.tags.some(tag => tag.toLowerCase().includes(lowerQuery))) ||
-            (recipe.dietaryFlags && recipe.dietaryFlags.some(flag => flag.toLowerCase().includes(lowerQuery)))
-        );
-    }
-    
-    // Meal Plan Management
-    createMealPlan(name) {
-        if (!this.isLoggedIn()) throw new Error('Must be logged in');
-        
-        const mealPlan = new MealPlan(null, this.getCurrentUser().id, name);
-        this.repository.saveMealPlan(mealPlan);
-        return mealPlan;
+        return { page, pageSize };
     }
-    
-    addToMealPlan(mealPlanId, day, recipeId) {
-        const mealPlan = this.repository.getMealPlan(mealPlanId);
-        if (!mealPlan) throw new Error('Meal plan not found');
-        if (mealPlan.userId !== this.getCurrentUser().id) throw new Error('Not your meal plan');
-        
-        const entry = new PlanEntry(day, recipeId);
-        mealPlan.addEntry(entry);
-        this.repository.saveMealPlan(mealPlan);
-        return mealPlan;
-    }
-    
-    getMealPlan(id) {
-        return this.repository.getMealPlan(id);
-    }
-    
-    getUserMealPlans() {
-        if (!this.isLoggedIn()) return [];
-        return this.repository.getUserMealPlans(this.getCurrentUser().id);
-    }
-    
-    // Shopping List Generation (uses Strategy Pattern)
-    generateShoppingList(mealPlanId, strategyType = 'basic') {
-        const mealPlan = this.repository.getMealPlan(mealPlanId);
-        if (!mealPlan) throw new Error('Meal plan not found');
-        
-        // Use Strategy Pattern
-        const strategy = ShoppingListStrategyFactory.createStrategy(strategyType);
-        return strategy.generate(mealPlan, this.repository);
+
+    paginate(items, query) {
+        const { page, pageSize } = this.pageParams(query);
+        return {
+            items: items.slice((page - 1) * pageSize, page * pageSize),
+            total: items.length,
+            page,
+            pageSize,
+            totalPages: Math.max(1, Math.ceil(items.length / pageSize))
+        };
     }
-    
-    // Sharing
-    shareMealPlan(mealPlanId, targetUserEmail) {
-        const mealPlan = this.repository.getMealPlan(mealPlanId);
-        if (!mealPlan) throw new Error('Meal plan not found');
-        if (mealPlan.userId !== this.getCurrentUser().id) throw new Error('Not your meal plan');
-        
-        const targetUser = this.repository.getUserByEmail(targetUserEmail);
-        if (!targetUser) throw new Error('Target user not found');
-        
-        // Create a copy for the target user
-        const sharedPlan = new MealPlan(
-            null,
-            targetUser.id,
-            `${mealPlan.name} (Shared by ${this.getCurrentUser().name})`,
-            [...mealPlan.entries]
-        );
-        
-        this.repository.saveMealPlan(sharedPlan);
-        return sharedPlan;
+
+    // Never expose password hashes or salts
+    serializeUser(user) {
+        return { id: user.id, name: user.name, email: user.email };
     }
-    
-    // Sample Data - FIXED VERSION
-    initializeSampleData() {
-        console.log('Initializing sample data...');
-        
-        // Create sample users and save them
-        const alice = this.register('Alice', 'alice@example.com');
-        const bob = this.register('Bob', 'bob@example.com');
-        
-        console.log(`Created users: ${alice.name}, ${bob.name}`);
-        
-        // Login as Alice
-        const loggedInUser = this.login('alice@example.com');
-        if (!loggedInUser) {
-            console.log('ERROR: Failed to login after registration');
-            return;
-        }
-        console.log(`Logged in as: ${loggedInUser.name}`);
-        
-        // Create sample recipes (now user is logged in)
-        const sampleRecipes = [
-            new Recipe(
-                null,
-                'Vegetable Stir Fry',
-                [
-                    new Ingredient('Broccoli', 200, 'g'),
-                    new Ingredient('Carrot', 2, ''),
-                    new Ingredient('Bell Pepper', 1, ''),
-                    new Ingredient('Soy Sauce', 3, 'tbsp')
-                ],
-                ['Chop vegetables', 'Stir fry in pan', 'Add sauce'],
-                ['vegetarian', 'quick'],
-                ['vegetarian', 'vegan']
-            ),
-            new Recipe(
-                null,
-                'Grilled Chicken',
-                [
-                    new Ingredient('Chicken Breast', 2, ''),
-                    new Ingredient('Olive Oil', 2, 'tbsp'),
-                    new Ingredient('Lemon', 1, ''),
-                    new Ingredient('Garlic', 3, 'cloves')
-                ],
-                ['Marinate chicken', 'Grill for 10 minutes', 'Serve with lemon'],
-                ['protein', 'grilled'],
-                ['gluten-free']
-            ),
-            new Recipe(
-                null,
-                'Pasta Carbonara',
-                [
-                    new Ingredient('Pasta', 250, 'g'),
-                    new Ingredient('Eggs', 2, ''),
-                    new Ingredient('Parmesan', 100, 'g'),
-                    new Ingredient('Bacon', 150, 'g')
-                ],
-                ['Cook pasta', 'Fry bacon', 'Mix eggs and cheese', 'Combine all'],
-                ['italian', 'pasta'],
-                []
-            )
-        ];
-        
-        // Save recipes
-        sampleRecipes.forEach(recipe => {
-            this.repository.saveRecipe(recipe);
-        });
-        
-        console.log(`Created ${sampleRecipes.length} sample recipes`);
-        console.log('Sample data initialized successfully\n');
+
+    // The signing secret is write-only
+    serializeWebhook(webhook) {
+        return {
+            id: webhook.id, url: webhook.url, eventTypes: webhook.eventTypes, signed: Boolean(webhook.secret), createdAt: webhook.createdAt
+        };
     }
 }
 
 // -----------------------------
-// 5. DEMONSTRATION
+// 7. DEMONSTRATION
 // -----------------------------
 
 function demonstrate() {
@@ -464,7 +6421,9 @@ function demonstrate() {
     try {
         // Create application (uses Factory Pattern for repository)
         console.log('1. Creating application...');
-        const app = new CookingPlanApplication();
+        const app = new CookingPlanApplication('memory', {}, { sampleData: true });
+        console.log('   Sample data: users Alice and Bob, 3 recipes by Alice');
+        app.login('alice@example.com', 'alice-password');
         
         // Check if user is logged in
         const currentUser = app.getCurrentUser();
@@ -481,10 +6440,16 @@ function demonstrate() {
         if (recipes.length > 0) {
             console.log('\n4. Rating first recipe...');
             const recipeToRate = recipes[0];
-            app.rateRecipe(recipeToRate.id, 5);
-            app.rateRecipe(recipeToRate.id, 4);
+            const bobApp = app.withSession(app.authenticate('bob@example.com', 'bob-password'));
+            bobApp.rateRecipe(recipeToRate.id, 5);
+            bobApp.rateRecipe(recipeToRate.id, 4, 'Good, but needed more sauce');
             const ratedRecipe = app.getRecipe(recipeToRate.id);
-            console.log(`   "${ratedRecipe.title}" now has ${ratedRecipe.rating.toFixed(1)} stars (${ratedRecipe.ratings.length} ratings)`);
+            console.log(`   "${ratedRecipe.title}" now has ${ratedRecipe.rating.toFixed(1)} stars (${ratedRecipe.getVisibleRatings().length} ratings)`);
+            try {
+                app.rateRecipe(recipeToRate.id, 5);
+            } catch (error) {
+                console.log(`   Alice rating her own recipe: ${error.message}`);
+            }
         }
         
         // Create meal plan
@@ -508,7 +6473,8 @@ function demonstrate() {
         const strategies = [
             { type: 'basic', desc: 'All ingredients' },
             { type: 'vegan', desc: 'No animal products' },
-            { type: 'glutenFree', desc: 'No gluten-containing items' }
+            { type: 'glutenFree', desc: 'No gluten-containing items' },
+            { type: 'budget', desc: 'Whole packages to buy' }
         ];
         
         strategies.forEach(({type, desc}) => {
@@ -527,8 +6493,10 @@ function demonstrate() {
         // Share meal plan
         console.log('\n8. Sharing meal plan...');
         try {
-            const sharedPlan = app.shareMealPlan(mealPlan.id, 'bob@example.com');
-            console.log(`   Successfully shared with Bob: "${sharedPlan.name}"`);
+            const sharedPlan = app.shareMealPlan(mealPlan.id, 'bob@example.com', 'editor');
+            console.log(`   Successfully shared "${sharedPlan.name}" with Bob as editor`);
+            const bobInbox = app.withSession(app.authenticate('bob@example.com', 'bob-password'));
+            bobInbox.getNotifications().forEach(notification => console.log(`   Bob's inbox: ${notification.message}`));
         } catch (error) {
             console.log(`   Share failed: ${error.message}`);
         }
@@ -587,19 +6555,64 @@ function demonstrate() {
     }
 }
 
-// Run demonstration
-demonstrate();
+// Run the CLI when executed directly; requiring the module has no side effects
+if (typeof require !== 'undefined' && require.main === module) {
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') throw error;
+    });
+    process.exitCode = new CommandLineInterface().run(process.argv.slice(2));
+}
 
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CookingPlanApplication,
         RepositoryFactory,
+        MemoryRepository,
+        FileRepository,
+        RecipeSearchIndex,
+        CookbookMembershipIndex,
         ShoppingListStrategyFactory,
+        UnitConverter,
+        IngredientKnowledgeBase,
+        DietProfile,
+        DietProfileRegistry,
         Ingredient,
         Recipe,
+        RecipeStep,
+        RecipeRevision,
+        Rating,
         PlanEntry,
         MealPlan,
-        User
+        PantryItem,
+        PlanCalendar,
+        ICalendarExporter,
+        MealPlanGenerator,
+        CookDayScheduler,
+        NutritionCalculator,
+        PriceCatalog,
+        StoreSectionMap,
+        ShoppingListExporter,
+        ShoppingList,
+        Cookbook,
+        DomainEvent,
+        DomainEventBus,
+        NotificationPolicy,
+        Notification,
+        Webhook,
+        OutboxMessage,
+        WebhookOutbox,
+        IngredientLineParser,
+        RecipeJsonLd,
+        RecipeText,
+        CommandLineInterface,
+        CookingPlanHttpApi,
+        User,
+        Session,
+        AuthenticationError,
+        ForbiddenError,
+        NotFoundError,
+        ConflictError,
+        ValidationError
     };
 }
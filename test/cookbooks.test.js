@@ -0,0 +1,75 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CookingPlanApplication, Ingredient, NotFoundError } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+// Alice's 'shared' recipe, not shared with Bob directly, and her cookbook
+function setUp(app = sampleApp()) {
+    const alice = signIn(app, 'alice@example.com');
+    const bob = signIn(app, 'bob@example.com');
+    const recipe = alice.createRecipe('Family Curry', [new Ingredient('Rice', 200, 'g')], ['Cook'], [], [], 2, 'shared');
+    const cookbook = alice.createCookbook('Family favourites');
+    alice.addRecipeToCookbook(cookbook.id, recipe.id);
+    return { app, alice, bob, recipe, cookbook };
+}
+
+const titles = app => app.getAllRecipes().map(recipe => recipe.title);
+
+describe('Recipes seen through cookbooks', () => {
+    it('shows a shared recipe to users the cookbook is shared with', () => {
+        const { alice, bob, recipe, cookbook } = setUp();
+        assert.throws(() => bob.getRecipe(recipe.id), NotFoundError);
+        assert.ok(!titles(bob).includes('Family Curry'));
+
+        alice.shareCookbook(cookbook.id, 'bob@example.com');
+        assert.equal(bob.getRecipe(recipe.id).title, 'Family Curry');
+        assert.ok(titles(bob).includes('Family Curry'));
+        assert.deepEqual(bob.searchRecipes('curry').map(found => found.title), ['Family Curry']);
+    });
+
+    it('stops once the recipe leaves the cookbook or the cookbook is deleted', () => {
+        const { alice, bob, recipe, cookbook } = setUp();
+        alice.shareCookbook(cookbook.id, 'bob@example.com');
+
+        alice.removeRecipeFromCookbook(cookbook.id, recipe.id);
+        assert.throws(() => bob.getRecipe(recipe.id), NotFoundError);
+
+        alice.addRecipeToCookbook(cookbook.id, recipe.id);
+        assert.ok(bob.getRecipe(recipe.id));
+        alice.deleteCookbook(cookbook.id);
+        assert.throws(() => bob.getRecipe(recipe.id), NotFoundError);
+    });
+
+    it("only counts the author's own cookbooks", () => {
+        const { app, alice, bob, recipe } = setUp();
+        alice.shareRecipe(recipe.id, 'bob@example.com');
+        const bobsBook = bob.createCookbook('Borrowed', '', 'public');
+        bob.addRecipeToCookbook(bobsBook.id, recipe.id);
+
+        const carol = app.register('Carol', 'carol@example.com', 'carol-password');
+        const asCarol = app.withSession(app.authenticate(carol.email, 'carol-password'));
+        assert.throws(() => asCarol.getRecipe(recipe.id), NotFoundError);
+    });
+
+    it('drops a deleted recipe from every cookbook', () => {
+        const { alice, cookbook, recipe } = setUp();
+        alice.deleteRecipe(recipe.id);
+        assert.deepEqual(alice.getCookbook(cookbook.id).recipeIds, []);
+    });
+
+    it('keeps working after a file store is reloaded', t => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cooking-plan-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const file = path.join(dir, 'data.json');
+        const { alice, recipe, cookbook } = setUp(new CookingPlanApplication('file', { filePath: file }, { sampleData: true }));
+        alice.shareCookbook(cookbook.id, 'bob@example.com');
+
+        const reloaded = new CookingPlanApplication('file', { filePath: file });
+        assert.equal(signIn(reloaded, 'bob@example.com').getRecipe(recipe.id).title, 'Family Curry');
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CookingPlanApplication, FileRepository, Ingredient, PantryItem } = require('../app.js');
+const { signIn } = require('./helpers');
+
+describe('FileRepository', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cooking-plan-'));
+        file = path.join(dir, 'data.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // Counts writes of the store file from now on
+    const countWrites = t => {
+        const renameSync = t.mock.method(fs, 'renameSync');
+        return () => renameSync.mock.calls.filter(call => call.arguments[1] === file).length;
+    };
+
+    it('writes after every change outside a transaction', t => {
+        const repository = new FileRepository(file);
+        const writes = countWrites(t);
+        repository.savePantryItem(new PantryItem(null, 'user-1', 'Rice', 1, 'kg'));
+        repository.savePantryItem(new PantryItem(null, 'user-1', 'Salt', 1, 'kg'));
+        assert.equal(writes(), 2);
+    });
+
+    it('writes once at the end of a transaction, nested or not', t => {
+        const repository = new FileRepository(file);
+        const writes = countWrites(t);
+
+        const result = repository.transaction(() => {
+            repository.savePantryItem(new PantryItem(null, 'user-1', 'Rice', 1, 'kg'));
+            repository.transaction(() => repository.savePantryItem(new PantryItem(null, 'user-1', 'Salt', 1, 'kg')));
+            assert.equal(writes(), 0);
+            return 'done';
+        });
+        assert.equal(result, 'done');
+        assert.equal(writes(), 1);
+        assert.equal(new FileRepository(file).getUserPantryItems('user-1').length, 2);
+
+        repository.transaction(() => repository.getUserPantryItems('user-1'));
+        assert.equal(writes(), 1);
+    });
+
+    it('still writes what changed when a transaction throws', t => {
+        const repository = new FileRepository(file);
+        const writes = countWrites(t);
+
+        assert.throws(() => repository.transaction(() => {
+            repository.savePantryItem(new PantryItem(null, 'user-1', 'Rice', 1, 'kg'));
+            throw new Error('halfway');
+        }), /halfway/);
+        assert.equal(writes(), 1);
+        assert.equal(new FileRepository(file).getUserPantryItems('user-1').length, 1);
+    });
+
+    it('writes once per facade operation that saves many things', t => {
+        const app = new CookingPlanApplication('file', { filePath: file }, { sampleData: true });
+        const alice = signIn(app, 'alice@example.com');
+        const writes = countWrites(t);
+
+        const plan = alice.generateMealPlan({ startDate: '2026-10-19', endDate: '2026-10-25', seed: 1 });
+        assert.equal(writes(), 1);
+
+        const recipe = alice.createRecipe('Rice Bowl', [new Ingredient('Rice', 1, 'kg')], ['Cook'], [], [], 1, 'public');
+        alice.addToMealPlan(plan.id, 'Monday', recipe.id);
+        const before = writes();
+        alice.deleteRecipe(recipe.id, { cascade: true });
+        assert.equal(writes() - before, 1);
+
+        const reloaded = signIn(new CookingPlanApplication('file', { filePath: file }), 'alice@example.com');
+        assert.equal(reloaded.getMealPlan(plan.id).entries.length, 7);
+        assert.equal(reloaded.repository.getRecipe(recipe.id), undefined);
+    });
+});
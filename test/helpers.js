@@ -0,0 +1,36 @@
+'use strict';
+
+const { CookingPlanApplication, CookingPlanHttpApi } = require('../app.js');
+
+// A memory-backed application with the sample users (Alice, Bob) and
+// Alice's three public recipes
+function sampleApp(options = {}) {
+    return new CookingPlanApplication('memory', {}, Object.assign({ sampleData: true }, options));
+}
+
+const PASSWORDS = { 'alice@example.com': 'alice-password', 'bob@example.com': 'bob-password' };
+
+// The application acting as one of the sample users
+function signIn(app, email) {
+    return app.withSession(app.authenticate(email, PASSWORDS[email]));
+}
+
+// Starts the API on a free port; call close() when done
+async function startApi(app, options) {
+    const server = await new CookingPlanHttpApi(app, options).listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves to { status, body } with body parsed when it is JSON
+    const request = async (method, path, { token, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        const json = (response.headers.get('content-type') || '').startsWith('application/json') && text;
+        return { status: response.status, body: json ? JSON.parse(text) : text, headers: response.headers };
+    };
+    const close = () => new Promise(resolve => server.close(resolve));
+    return { server, base, request, close };
+}
+
+module.exports = { sampleApp, signIn, startApi, PASSWORDS };
@@ -0,0 +1,131 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleApp, startApi } = require('./helpers');
+
+describe('CookingPlanHttpApi', () => {
+    let api;
+    let alice;
+    let bob;
+
+    before(async () => {
+        api = await startApi(sampleApp());
+        const login = async (email, password) => (await api.request('POST', '/sessions', { body: { email, password } })).body.token;
+        alice = await login('alice@example.com', 'alice-password');
+        bob = await login('bob@example.com', 'bob-password');
+    });
+
+    after(() => api.close());
+
+    it('registers users and signs them in with bearer tokens', async () => {
+        const created = await api.request('POST', '/users', { body: { name: 'Carol', email: 'carol@example.com', password: 'carol-password' } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.email, 'carol@example.com');
+        assert.equal(created.body.passwordHash, undefined);
+
+        const session = await api.request('POST', '/sessions', { body: { email: 'carol@example.com', password: 'carol-password' } });
+        assert.equal(session.status, 201);
+        const me = await api.request('GET', '/users/me', { token: session.body.token });
+        assert.equal(me.body.name, 'Carol');
+
+        assert.equal((await api.request('DELETE', '/sessions', { token: session.body.token })).status, 204);
+        assert.equal((await api.request('GET', '/users/me', { token: session.body.token })).status, 401);
+    });
+
+    it('maps facade errors to status codes', async () => {
+        const plan = (await api.request('POST', '/meal-plans', { token: alice, body: { name: 'Week' } })).body;
+
+        const missing = await api.request('GET', '/meal-plans/plan-nope', { token: alice });
+        assert.equal(missing.status, 404);
+        assert.deepEqual(missing.body, { error: { type: 'NotFoundError', message: 'Meal plan not found' } });
+
+        const forbidden = await api.request('GET', `/meal-plans/${plan.id}`, { token: bob });
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.error.message, 'Not your meal plan');
+
+        assert.equal((await api.request('GET', '/meal-plans')).status, 401);
+        assert.equal((await api.request('POST', '/meal-plans', { token: alice, body: { name: 7 } })).status, 400);
+        assert.equal((await api.request('PUT', '/meal-plans', { token: alice })).status, 405);
+        assert.equal((await api.request('GET', '/nowhere')).status, 404);
+        assert.equal((await api.request('GET', '/recipes/%E0%A4%A')).status, 400);
+    });
+
+    it('rejects bodies that are not JSON or too large', async () => {
+        const response = await fetch(`${api.base}/users`, { method: 'POST', body: '{not json' });
+        assert.equal(response.status, 400);
+
+        const large = await api.request('POST', '/users', { body: { name: 'x'.repeat(2 * 1024 * 1024) } });
+        assert.equal(large.status, 413);
+        assert.equal(large.body.error.type, 'PayloadTooLargeError');
+    });
+
+    it('adds plan entries and shares plans with roles', async () => {
+        const recipes = (await api.request('GET', '/recipes', { token: alice })).body.items;
+        const plan = (await api.request('POST', '/meal-plans', { token: alice, body: { name: 'Shared week', startDate: '2026-10-19' } })).body;
+
+        const entry = await api.request('POST', `/meal-plans/${plan.id}/entries`, { token: alice, body: { day: 'Tuesday', recipeId: recipes[0].id } });
+        assert.equal(entry.status, 201);
+        assert.equal(entry.body.date, '2026-10-20');
+
+        await api.request('POST', `/meal-plans/${plan.id}/shares`, { token: alice, body: { email: 'bob@example.com', role: 'viewer' } });
+        assert.equal((await api.request('GET', `/meal-plans/${plan.id}`, { token: bob })).status, 200);
+        const edit = await api.request('POST', `/meal-plans/${plan.id}/entries`, { token: bob, body: { day: 'Monday', recipeId: recipes[0].id } });
+        assert.equal(edit.status, 403);
+
+        const list = await api.request('GET', `/meal-plans/${plan.id}/shopping-list`, { token: bob });
+        assert.equal(list.status, 200);
+        assert.ok(list.body.items.length > 0);
+    });
+
+    it('pages list endpoints', async () => {
+        const first = await api.request('GET', '/recipes?pageSize=2', { token: alice });
+        assert.equal(first.body.items.length, 2);
+        assert.equal(first.body.total, 3);
+        assert.equal(first.body.totalPages, 2);
+
+        const second = await api.request('GET', '/recipes?pageSize=2&page=2', { token: alice });
+        assert.equal(second.body.items.length, 1);
+        assert.equal((await api.request('GET', '/recipes?pageSize=500', { token: alice })).status, 400);
+
+        const empty = await api.request('GET', '/users/me/ratings', { token: bob });
+        assert.deepEqual([empty.body.total, empty.body.totalPages], [0, 1]);
+    });
+});
+
+describe('CookingPlanHttpApi errors', () => {
+    const failingApi = async (appOptions, apiOptions) => {
+        const app = sampleApp(appOptions);
+        app.getUserMealPlans = () => { throw new Error('disk on fire'); };
+        const api = await startApi(app, apiOptions);
+        const token = (await api.request('POST', '/sessions', { body: { email: 'alice@example.com', password: 'alice-password' } })).body.token;
+        return { api, token };
+    };
+
+    it('hides unexpected errors from the client and reports them to onError', async () => {
+        const reported = [];
+        const { api, token } = await failingApi({}, { onError: (error, context) => reported.push([error.message, context]) });
+        try {
+            const response = await api.request('GET', '/meal-plans', { token });
+            assert.equal(response.status, 500);
+            assert.equal(response.body.error.message, 'Internal server error');
+            assert.deepEqual(reported, [['disk on fire', 'GET /meal-plans']]);
+
+            assert.equal((await api.request('GET', '/recipes/nope', { token })).status, 404);
+            assert.equal(reported.length, 1);
+        } finally {
+            await api.close();
+        }
+    });
+
+    it("falls back to the application's onError", async () => {
+        const reported = [];
+        const { api, token } = await failingApi({ onError: error => reported.push(error.message) });
+        try {
+            assert.equal((await api.request('GET', '/meal-plans', { token })).status, 500);
+            assert.deepEqual(reported, ['disk on fire']);
+        } finally {
+            await api.close();
+        }
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Ingredient, MealPlanGenerator, PlanCalendar, ValidationError } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+// Alice's sample recipes plus a few more, so there is something to choose between
+function aliceWithRecipes() {
+    const alice = signIn(sampleApp(), 'alice@example.com');
+    [
+        ['Tomato Soup', [new Ingredient('Tomato', 4, ''), new Ingredient('Onion', 1, '')], ['soup', 'vegetarian'], ['vegetarian']],
+        ['Penne Arrabbiata', [new Ingredient('Pasta', 250, 'g'), new Ingredient('Tomato', 3, '')], ['pasta'], ['vegetarian']],
+        ['Lasagne', [new Ingredient('Pasta', 300, 'g'), new Ingredient('Ground Beef', 400, 'g')], ['pasta'], []],
+        ['Salmon Bowl', [new Ingredient('Salmon', 2, ''), new Ingredient('Rice', 150, 'g')], ['fish'], []]
+    ].forEach(([title, ingredients, tags, flags]) => alice.createRecipe(title, ingredients, ['Cook it'], tags, flags, 2, 'public'));
+    return alice;
+}
+
+describe('MealPlanGenerator', () => {
+    const week = { startDate: '2026-10-19', endDate: '2026-10-25', slots: ['lunch', 'dinner'] };
+
+    it('reproduces a plan from the same seed across repositories', () => {
+        const first = aliceWithRecipes();
+        const second = aliceWithRecipes();
+        const plan = (app, seed) => app.generateMealPlan(Object.assign({}, week, { seed })).getSortedEntries()
+            .map(entry => `${entry.date} ${entry.slot} ${app.repository.getRecipe(entry.recipeId).title}`);
+
+        const a = plan(first, 'tests');
+        assert.equal(a.length, 14);
+        assert.deepEqual(plan(second, 'tests'), a);
+        assert.notDeepEqual(plan(first, 7), a);
+    });
+
+    it('fills every date and slot with recipes the diet allows', () => {
+        const alice = aliceWithRecipes();
+        const plan = alice.generateMealPlan(Object.assign({}, week, { dietProfiles: ['vegetarian'], seed: 1 }));
+        const entries = plan.getSortedEntries();
+
+        assert.deepEqual([...new Set(entries.map(entry => entry.date))], PlanCalendar.datesBetween(week.startDate, week.endDate));
+        entries.forEach(entry => {
+            assert.ok(alice.repository.getRecipe(entry.recipeId).dietaryFlags.includes('vegetarian'));
+        });
+    });
+
+    it('avoids repeats and tag streaks while it can', () => {
+        const recipes = aliceWithRecipes().getAllRecipes();
+        const dates = PlanCalendar.datesBetween('2026-10-19', '2026-10-25');
+        const picks = new MealPlanGenerator(recipes, { seed: 3, avoidRepeatDays: 2, maxTagStreak: 1 }).generate(dates, ['dinner']);
+
+        picks.forEach((pick, index) => {
+            picks.slice(Math.max(0, index - 2), index).forEach(earlier => {
+                assert.notEqual(earlier.recipe.id, pick.recipe.id, `${pick.date} repeats ${pick.recipe.title}`);
+            });
+            if (index > 0) {
+                const tags = picks[index - 1].recipe.tags;
+                assert.ok(!pick.recipe.tags.some(tag => tags.includes(tag)), `${pick.date} repeats a tag`);
+            }
+        });
+    });
+
+    it('rejects options no recipe matches, saving nothing', () => {
+        const alice = aliceWithRecipes();
+        assert.throws(() => alice.generateMealPlan(Object.assign({}, week, { minRating: 6 })), ValidationError);
+        assert.throws(() => alice.generateMealPlan(Object.assign({}, week, { dietProfiles: ['carnivore'] })), ValidationError);
+        assert.deepEqual(alice.getUserMealPlans(), []);
+    });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Ingredient } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+describe('Meal plan forks', () => {
+    const pinnedPlan = () => {
+        const app = sampleApp();
+        const alice = signIn(app, 'alice@example.com');
+        const recipe = alice.createRecipe('Rice Bowl', [new Ingredient('Rice', 200, 'g')], ['Cook'], [], [], 1, 'public');
+        const plan = alice.createMealPlan('Week', '2026-10-19');
+        alice.addToMealPlan(plan.id, 'Monday', recipe.id);
+        alice.addToMealPlan(plan.id, 'Tuesday', recipe.id);
+        const [pinned] = plan.getSortedEntries();
+        alice.pinMealPlanEntry(plan.id, pinned.id);
+        alice.updateRecipe(recipe.id, { ingredients: [new Ingredient('Rice', 500, 'g')] });
+        return { app, alice, plan, recipe };
+    };
+
+    const revisions = plan => plan.getSortedEntries().map(entry => [entry.date, entry.recipeRevision]);
+
+    it('keeps pinned revisions in the copy', () => {
+        const { alice, plan } = pinnedPlan();
+        const copy = alice.forkMealPlan(plan.id);
+
+        assert.deepEqual(revisions(copy), [['2026-10-19', 1], ['2026-10-20', null]]);
+        assert.deepEqual(revisions(copy), revisions(plan));
+        assert.deepEqual(alice.generateShoppingList(copy.id).map(ing => [ing.name, ing.amount, ing.unit]), [['Rice', 700, 'g']]);
+    });
+
+    it('keeps pinned revisions when forking to someone else', () => {
+        const { app, alice, plan } = pinnedPlan();
+        const copy = alice.forkMealPlan(plan.id, 'bob@example.com');
+        const bob = signIn(app, 'bob@example.com');
+
+        assert.equal(copy.userId, bob.getCurrentUser().id);
+        assert.deepEqual(revisions(bob.getMealPlan(copy.id)), revisions(plan));
+        assert.deepEqual(bob.generateShoppingList(copy.id).map(ing => ing.amount), [700]);
+    });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+describe('Pantry', () => {
+    const alice = () => signIn(sampleApp(), 'alice@example.com');
+
+    it('tops up a batch with the same expiry', () => {
+        const app = alice();
+        const first = app.addPantryItem('Rice', 500, 'g', '2026-12-01');
+        const again = app.addPantryItem('rice', 1, 'kg', '2026-12-01');
+        assert.equal(again, first);
+        assert.equal(first.amount, 1500);
+        assert.equal(app.addPantryItem('Garlic', 3, 'cloves').unit, 'cloves');
+        assert.equal(app.getPantry().length, 2);
+    });
+
+    it('validates added items', () => {
+        const app = alice();
+        [
+            ['', 1, 'g'],
+            [42, 1, 'g'],
+            ['Rice', -1, 'g'],
+            ['Rice', '5', 'g'],
+            ['Rice', 1, 'bushels'],
+            ['Rice', 1, 'g', '01/12/2026'],
+            ['Rice', 1, 'g', '2026-02-30']
+        ].forEach(args => assert.throws(() => app.addPantryItem(...args), ValidationError, JSON.stringify(args)));
+        assert.deepEqual(app.getPantry(), []);
+    });
+
+    it('validates updates the same way and rejects unknown fields', () => {
+        const app = alice();
+        const item = app.addPantryItem('Rice', 500, 'g');
+        [{ name: '' }, { amount: -5 }, { amount: null }, { unit: 'bushels' }, { expiresAt: 'soon' }, { userId: 'user-other' }, { id: 'pantry-1' }]
+            .forEach(changes => assert.throws(() => app.updatePantryItem(item.id, changes), ValidationError, JSON.stringify(changes)));
+        assert.deepEqual([item.name, item.amount, item.unit, item.expiresAt], ['Rice', 500, 'g', null]);
+
+        app.updatePantryItem(item.id, { amount: 0, unit: 'kg', expiresAt: '2026-11-01' });
+        assert.deepEqual([item.amount, item.unit, item.expiresAt], [0, 'kg', '2026-11-01']);
+        app.updatePantryItem(item.id, { expiresAt: null });
+        assert.equal(item.expiresAt, null);
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CookingPlanApplication, ForbiddenError, NotFoundError, ValidationError } = require('../app.js');
+const { sampleApp, signIn, startApi } = require('./helpers');
+
+describe('Recipe ratings', () => {
+    it('keeps one rating per user and refuses rating your own recipe', () => {
+        const app = sampleApp();
+        const alice = signIn(app, 'alice@example.com');
+        const bob = signIn(app, 'bob@example.com');
+        const [recipe] = alice.getAllRecipes();
+
+        bob.rateRecipe(recipe.id, 2);
+        bob.rateRecipe(recipe.id, 4, 'Better the second time');
+        assert.deepEqual(bob.getRatingSummary(recipe.id), { average: 4, count: 1, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 } });
+        assert.throws(() => alice.rateRecipe(recipe.id, 5), ForbiddenError);
+        assert.throws(() => bob.rateRecipe(recipe.id, 6), ValidationError);
+    });
+
+    it('publishes RecipeRatingRemoved when a rating is withdrawn', () => {
+        const app = sampleApp();
+        const bob = signIn(app, 'bob@example.com');
+        const [recipe] = bob.getAllRecipes();
+        const events = [];
+        app.subscribe('RecipeRatingRemoved', event => events.push(event));
+
+        bob.rateRecipe(recipe.id, 3);
+        bob.removeRecipeRating(recipe.id);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].data.userId, bob.getCurrentUser().id);
+        assert.equal(bob.getRatingSummary(recipe.id).count, 0);
+        assert.throws(() => bob.removeRecipeRating(recipe.id), NotFoundError);
+    });
+});
+
+describe('Rating moderation', () => {
+    const setUp = () => {
+        const app = sampleApp();
+        const alice = signIn(app, 'alice@example.com');
+        const bob = signIn(app, 'bob@example.com');
+        const [recipe] = alice.getAllRecipes();
+        bob.rateRecipe(recipe.id, 1, 'Spam spam spam');
+        return { app, alice, bob, recipe, bobId: bob.getCurrentUser().id };
+    };
+
+    it('hides a rating from the aggregates and the listing until it is shown again', () => {
+        const { alice, bob, recipe, bobId } = setUp();
+
+        alice.moderateRecipeRating(recipe.id, bobId, 'hide');
+        assert.equal(recipe.rating, 0);
+        assert.deepEqual(bob.getRecipeRatings(recipe.id).ratings, []);
+        assert.equal(bob.getRecipeRatings(recipe.id).summary.count, 0);
+        assert.deepEqual(alice.getTopRatedRecipes(), []);
+
+        // The author still sees it, marked, so it can be shown again
+        const [seen] = alice.getRecipeRatings(recipe.id).ratings;
+        assert.equal(seen.hidden, true);
+        assert.equal(bob.getMyRatings()[0].rating.hidden, true);
+
+        // Rating again does not bring it back
+        bob.rateRecipe(recipe.id, 2);
+        assert.equal(bob.getRatingSummary(recipe.id).count, 0);
+
+        alice.moderateRecipeRating(recipe.id, bobId, 'show');
+        assert.equal(bob.getRatingSummary(recipe.id).average, 2);
+        assert.equal(bob.getRecipeRatings(recipe.id).ratings.length, 1);
+    });
+
+    it('removes a rating and tells the rater', () => {
+        const { app, alice, bob, recipe, bobId } = setUp();
+        const events = [];
+        app.subscribe('*', event => events.push(event.type));
+
+        alice.moderateRecipeRating(recipe.id, bobId, 'remove');
+        assert.equal(recipe.getRating(bobId), null);
+        assert.deepEqual(events.filter(type => type.startsWith('RecipeRating')), ['RecipeRatingRemoved']);
+        assert.deepEqual(bob.getNotifications().map(note => note.message), [`Alice removed your rating of "${recipe.title}"`]);
+    });
+
+    it('is only for the recipe author', () => {
+        const { bob, alice, recipe, bobId } = setUp();
+        assert.throws(() => bob.moderateRecipeRating(recipe.id, bobId, 'hide'), ForbiddenError);
+        assert.throws(() => alice.moderateRecipeRating(recipe.id, bobId, 'ban'), ValidationError);
+        assert.throws(() => alice.moderateRecipeRating(recipe.id, 'user-nobody', 'hide'), NotFoundError);
+    });
+
+    it('keeps hidden ratings hidden in a file store', t => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cooking-plan-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const file = path.join(dir, 'data.json');
+
+        const first = new CookingPlanApplication('file', { filePath: file }, { sampleData: true });
+        const alice = signIn(first, 'alice@example.com');
+        const bob = signIn(first, 'bob@example.com');
+        const [recipe] = alice.getAllRecipes();
+        bob.rateRecipe(recipe.id, 5);
+        alice.moderateRecipeRating(recipe.id, bob.getCurrentUser().id, 'hide');
+
+        const reloaded = new CookingPlanApplication('file', { filePath: file });
+        const copy = reloaded.repository.getRecipe(recipe.id);
+        assert.equal(copy.getRating(bob.getCurrentUser().id).hidden, true);
+        assert.equal(copy.getRatingSummary().count, 0);
+    });
+});
+
+describe('Rating moderation over HTTP', () => {
+    let api;
+    let tokens;
+
+    before(async () => {
+        api = await startApi(sampleApp());
+        const login = async (email, password) => (await api.request('POST', '/sessions', { body: { email, password } })).body;
+        tokens = { alice: await login('alice@example.com', 'alice-password'), bob: await login('bob@example.com', 'bob-password') };
+    });
+
+    after(() => api.close());
+
+    it('lets the author hide a rating', async () => {
+        const [recipe] = (await api.request('GET', '/recipes', { token: tokens.alice.token })).body.items;
+        const rated = await api.request('PUT', `/recipes/${recipe.id}/ratings/me`, { token: tokens.bob.token, body: { rating: 1 } });
+        assert.equal(rated.status, 201);
+
+        const path = `/recipes/${recipe.id}/ratings/${tokens.bob.user.id}/moderation`;
+        assert.equal((await api.request('POST', path, { token: tokens.bob.token, body: { action: 'hide' } })).status, 403);
+        assert.equal((await api.request('POST', path, { token: tokens.alice.token, body: { action: 'mute' } })).status, 400);
+        assert.equal((await api.request('POST', path, { token: tokens.alice.token, body: { action: 'hide' } })).status, 200);
+
+        const listing = await api.request('GET', `/recipes/${recipe.id}/ratings`, { token: tokens.bob.token });
+        assert.equal(listing.body.total, 0);
+        assert.equal(listing.body.summary.count, 0);
+    });
+});
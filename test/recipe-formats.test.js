@@ -0,0 +1,73 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Ingredient, IngredientLineParser, ValidationError } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+const parsed = line => {
+    const ingredient = IngredientLineParser.parse(line);
+    return ingredient && [ingredient.name, ingredient.amount, ingredient.unit];
+};
+
+describe('IngredientLineParser', () => {
+    it('parses the lines from the request', () => {
+        assert.ok(IngredientLineParser.parse('2 cloves garlic') instanceof Ingredient);
+        assert.deepEqual(parsed('1 1/2 cups flour, sifted'), ['flour', 1.5, 'cup']);
+        assert.deepEqual(parsed('2 cloves garlic'), ['garlic', 2, 'cloves']);
+    });
+
+    it('reads fractions, decimals, ranges and attached units', () => {
+        assert.deepEqual(parsed('½ tsp salt'), ['salt', 0.5, 'tsp']);
+        assert.deepEqual(parsed('1½ cups milk'), ['milk', 1.5, 'cup']);
+        assert.deepEqual(parsed('0.25 l cream'), ['cream', 0.25, 'l']);
+        assert.deepEqual(parsed('200g broccoli'), ['broccoli', 200, 'g']);
+        assert.deepEqual(parsed('2-3 tablespoons olive oil'), ['olive oil', 3, 'tbsp']);
+        assert.deepEqual(parsed('1 to 2 onions'), ['onions', 2, '']);
+    });
+
+    it('drops bullets, notes, sizes and "of"', () => {
+        assert.deepEqual(parsed('- 3 large eggs (room temperature)'), ['eggs', 3, '']);
+        assert.deepEqual(parsed('a pinch of salt'), ['salt', 1, 'pinch']);
+        assert.deepEqual(parsed('1 can of tomatoes, drained'), ['tomatoes', 1, 'can']);
+    });
+
+    it('returns null for lines it cannot read', () => {
+        assert.equal(IngredientLineParser.parse('salt to taste'), null);
+        assert.equal(IngredientLineParser.parse(''), null);
+        assert.equal(IngredientLineParser.parse('1/0 cups sugar'), null);
+    });
+});
+
+describe('Recipe import and export', () => {
+    it('round-trips a recipe through JSON-LD', () => {
+        const alice = signIn(sampleApp(), 'alice@example.com');
+        const [original] = alice.getAllRecipes();
+
+        const result = alice.importRecipes(alice.exportRecipe(original.id, 'jsonld'));
+        assert.deepEqual(result.errors, []);
+        const [copy] = result.imported;
+        assert.equal(copy.title, original.title);
+        assert.equal(copy.servings, original.servings);
+        assert.deepEqual(copy.ingredients.map(ing => [ing.name, ing.amount, ing.unit]),
+            original.ingredients.map(ing => [ing.name, ing.amount, ing.unit]));
+        assert.deepEqual(copy.steps.map(String), original.steps.map(String));
+    });
+
+    it('reports bad lines and recipes without failing the batch', () => {
+        const alice = signIn(sampleApp(), 'alice@example.com');
+        const text = [
+            'Pancakes', 'Serves: 4', '', 'Ingredients:', '- 1 1/2 cups flour, sifted', '- salt to taste', '', 'Steps:', '1. Mix', '2. Fry',
+            '---',
+            'Serves: 2', '', 'Ingredients:', '- 2 eggs'
+        ].join('\n');
+
+        const result = alice.importRecipes(text, 'text');
+        assert.deepEqual(result.imported.map(recipe => recipe.title), ['Pancakes']);
+        assert.deepEqual(result.imported[0].ingredients.map(ing => ing.name), ['flour']);
+        assert.deepEqual(result.unparsedLines, [{ recipe: 'Pancakes', line: '- salt to taste' }]);
+        assert.equal(result.errors.length, 1);
+
+        assert.throws(() => alice.importRecipes('{', 'jsonld'), ValidationError);
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Ingredient } = require('../app.js');
+const { sampleApp, signIn, startApi } = require('./helpers');
+
+// Alice with a one-recipe plan needing 1.5 kg of rice and 300 g of broccoli
+function aliceWithPlan() {
+    const app = sampleApp();
+    const alice = signIn(app, 'alice@example.com');
+    const recipe = alice.createRecipe('Rice Bowl', [new Ingredient('Rice', 1.5, 'kg'), new Ingredient('Broccoli', 300, 'g')], ['Cook'], [], [], 1);
+    const plan = alice.createMealPlan('Week', '2026-10-19');
+    alice.addToMealPlan(plan.id, 'Monday', recipe.id);
+    return { app, alice, plan };
+}
+
+const rows = ingredients => ingredients.map(ing => [ing.name, ing.amount, ing.unit]);
+
+describe('Budget shopping lists', () => {
+    it('reports the cost of the packages on the list', () => {
+        const { alice, plan } = aliceWithPlan();
+        const { ingredients, budget } = alice.generateShoppingListWithBudget(plan.id, 'budget', { weeklyBudget: 5 });
+
+        assert.deepEqual(rows(ingredients), [['Rice', 2, 'kg'], ['Broccoli', 500, 'g']]);
+        assert.equal(budget.mealPlanId, plan.id);
+        assert.equal(budget.total, 7.47);
+        assert.equal(budget.overBudget, true);
+        assert.match(budget.warnings[0], /over the budget of 5\.00/);
+    });
+
+    it('prices what is left once the pantry is taken off', () => {
+        const { alice, plan } = aliceWithPlan();
+        alice.addPantryItem('Rice', 800, 'g');
+        alice.addPantryItem('Broccoli', 1, 'kg');
+
+        const { ingredients, budget } = alice.generateShoppingListWithBudget(plan.id, 'budget', { subtractPantry: true, weeklyBudget: 5 });
+        assert.deepEqual(rows(ingredients), [['Rice', 1, 'kg']]);
+        assert.deepEqual(budget.items.map(item => [item.name, item.amount, item.unit, item.packages]), [['Rice', 700, 'g', 1]]);
+        assert.equal(budget.total, 2.49);
+        assert.equal(budget.overBudget, false);
+    });
+
+    it('has no report for other strategies', () => {
+        const { alice, plan } = aliceWithPlan();
+        alice.addPantryItem('Rice', 800, 'g');
+        const { ingredients, budget } = alice.generateShoppingListWithBudget(plan.id, 'basic', { subtractPantry: true });
+        assert.deepEqual(rows(ingredients), [['Rice', 700, 'g'], ['Broccoli', 300, 'g']]);
+        assert.equal(budget, null);
+    });
+
+    it('saves the list it reports on', () => {
+        const { alice, plan } = aliceWithPlan();
+        alice.addPantryItem('Rice', 800, 'g');
+        const { list, budget } = alice.createShoppingListWithBudget(plan.id, 'budget', { subtractPantry: true });
+        assert.deepEqual(list.items.map(item => [item.name, item.amount, item.unit]), [['Rice', 1, 'kg'], ['Broccoli', 500, 'g']]);
+        assert.equal(budget.total, 4.98);
+    });
+
+    it('returns the same report over HTTP', async () => {
+        const { app, alice, plan } = aliceWithPlan();
+        alice.addPantryItem('Rice', 800, 'g');
+        const api = await startApi(app);
+        try {
+            const token = app.authenticate('alice@example.com', 'alice-password');
+            const generated = await api.request('GET', `/meal-plans/${plan.id}/shopping-list?strategy=budget&subtractPantry=true`, { token });
+            assert.equal(generated.body.budget.total, 4.98);
+            assert.equal(generated.body.items.length, 2);
+
+            const saved = await api.request('POST', '/shopping-lists', { token, body: { mealPlanId: plan.id, strategy: 'budget', subtractPantry: true } });
+            assert.equal(saved.status, 201);
+            assert.equal(saved.body.budget.total, 4.98);
+        } finally {
+            await api.close();
+        }
+    });
+});
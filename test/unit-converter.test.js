@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Ingredient, UnitConverter } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+const merged = ingredients => UnitConverter.mergeIngredients(ingredients).map(ing => [ing.name, ing.amount, ing.unit]);
+
+describe('UnitConverter', () => {
+    it('normalizes unit aliases', () => {
+        ['tbsp', 'Tbsp', 'tablespoon', 'Tablespoons', 'tbsp.', 'TBS'].forEach(unit => {
+            assert.equal(UnitConverter.normalizeUnit(unit), 'tbsp', unit);
+        });
+        assert.equal(UnitConverter.normalizeUnit('Kilograms'), 'kg');
+        assert.equal(UnitConverter.normalizeUnit('pieces'), '');
+        assert.equal(UnitConverter.normalizeUnit('Cloves'), 'clove');
+        assert.equal(UnitConverter.getDimension('cloves'), null);
+    });
+
+    it('converts within a dimension only', () => {
+        assert.equal(UnitConverter.convert(0.5, 'kg', 'g'), 500);
+        assert.equal(UnitConverter.convert(3, 'tsp', 'tbsp'), 1);
+        assert.equal(UnitConverter.convert(2, 'dozen', ''), 24);
+        assert.throws(() => UnitConverter.convert(1, 'cup', 'g'), /Cannot convert/);
+    });
+
+    it('matches ingredient names regardless of case and plural', () => {
+        assert.equal(UnitConverter.normalizeIngredientName('Eggs'), 'egg');
+        assert.equal(UnitConverter.normalizeIngredientName(' EGG '), 'egg');
+        assert.equal(UnitConverter.normalizeIngredientName('Brussels Sprouts'), 'brussels sprout');
+        assert.equal(UnitConverter.normalizeIngredientName('Tomatoes'), 'tomato');
+        assert.deepEqual(merged([new Ingredient('Eggs', 2, ''), new Ingredient('egg', 1, '')]), [['Eggs', 3, '']]);
+    });
+
+    it('merges mass and volume into shopper-friendly units', () => {
+        assert.deepEqual(merged([new Ingredient('Broccoli', 200, 'g'), new Ingredient('broccoli', 0.5, 'kg')]), [['Broccoli', 700, 'g']]);
+        assert.deepEqual(merged([new Ingredient('Flour', 800, 'g'), new Ingredient('Flour', 0.65, 'kg')]), [['Flour', 1.45, 'kg']]);
+        assert.deepEqual(merged([new Ingredient('Olive Oil', 2, 'Tbsp'), new Ingredient('olive oil', 1, 'teaspoon')]), [['Olive Oil', 2.5, 'tbsp']]);
+        assert.deepEqual(merged([new Ingredient('Milk', 1, 'cup'), new Ingredient('Milk', 4, 'tablespoons')]), [['Milk', 1.25, 'cup']]);
+    });
+
+    it('keeps units it cannot convert apart', () => {
+        assert.deepEqual(merged([new Ingredient('Garlic', 3, 'cloves'), new Ingredient('Garlic', 2, 'clove'), new Ingredient('Garlic', 1, '')]),
+            [['Garlic', 5, 'cloves'], ['Garlic', 1, '']]);
+    });
+
+    it('subtracts what is on hand', () => {
+        const left = UnitConverter.subtractIngredients(
+            [new Ingredient('Rice', 1, 'kg'), new Ingredient('Eggs', 2, '')],
+            [new Ingredient('rice', 300, 'g'), new Ingredient('Egg', 6, '')]
+        );
+        assert.deepEqual(left.map(ing => [ing.name, ing.amount, ing.unit]), [['Rice', 700, 'g']]);
+    });
+
+    it('merges across recipes in the basic shopping list', () => {
+        const alice = signIn(sampleApp(), 'alice@example.com');
+        const first = alice.createRecipe('Broccoli Bake', [new Ingredient('Broccoli', 0.5, 'kg')], ['Bake'], [], [], 2);
+        const second = alice.createRecipe('Broccoli Soup', [new Ingredient('broccoli', 200, 'g'), new Ingredient('Eggs', 2, '')], ['Boil'], [], [], 2);
+        const third = alice.createRecipe('Omelette', [new Ingredient('Egg', 3, '')], ['Fry'], [], [], 1);
+        const plan = alice.createMealPlan('Week', '2026-10-19');
+        alice.addToMealPlan(plan.id, 'Monday', first.id);
+        alice.addToMealPlan(plan.id, 'Tuesday', second.id);
+        alice.addToMealPlan(plan.id, 'Wednesday', third.id);
+
+        const list = alice.generateShoppingList(plan.id, 'basic');
+        assert.deepEqual(list.map(ing => [ing.name, ing.amount, ing.unit]), [['Broccoli', 700, 'g'], ['Eggs', 5, '']]);
+    });
+});
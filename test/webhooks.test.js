@@ -0,0 +1,197 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookOutbox, ValidationError } = require('../app.js');
+const { sampleApp, signIn } = require('./helpers');
+
+// A receiver that answers with the queued status codes (then 200) and keeps
+// what it was sent
+function startReceiver(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.length ? statuses.shift() : 200);
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => new Promise(done => server.close(done)) });
+    }));
+}
+
+describe('WebhookOutbox', () => {
+    let receiver;
+
+    before(async () => {
+        receiver = await startReceiver();
+    });
+
+    after(() => receiver.close());
+
+    it('signs the body with the webhook secret', async () => {
+        receiver.received.length = 0;
+        const app = sampleApp({ webhooks: [{ url: receiver.url, eventTypes: ['MealPlanCreated'], secret: 's3cret' }] });
+        signIn(app, 'alice@example.com').createMealPlan('Week');
+
+        const summary = await app.deliverWebhooks();
+        assert.deepEqual(summary, { attempted: 1, delivered: 1, retrying: 0, failed: 0 });
+
+        const [{ headers, body }] = receiver.received;
+        const expected = crypto.createHmac('sha256', 's3cret').update(body).digest('hex');
+        assert.equal(headers['x-cooking-plan-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-cooking-plan-event'], 'MealPlanCreated');
+        assert.equal(JSON.parse(body).data.name, 'Week');
+    });
+
+    it('retries failed deliveries with backoff until maxAttempts', async () => {
+        const flaky = await startReceiver([500, 503]);
+        try {
+            const app = sampleApp({ webhooks: [{ url: flaky.url }], webhookDelivery: { retryDelayMs: 1000, maxAttempts: 3 } });
+            signIn(app, 'alice@example.com').createMealPlan('Week');
+            const [message] = app.repository.getOutboxMessages();
+
+            assert.equal((await app.deliverWebhooks()).retrying, 1);
+            assert.equal(message.lastError, 'HTTP 500');
+            const firstDelay = new Date(message.nextAttemptAt) - Date.now();
+            assert.ok(firstDelay > 500 && firstDelay <= 1000);
+
+            // Not due yet
+            assert.equal((await app.deliverWebhooks()).attempted, 0);
+
+            assert.equal((await app.outbox.deliverDue(new Date(Date.now() + 1000))).retrying, 1);
+            const secondDelay = new Date(message.nextAttemptAt) - Date.now();
+            assert.ok(secondDelay > 1500 && secondDelay <= 2000);
+
+            assert.equal((await app.outbox.deliverDue(new Date(Date.now() + 2000))).delivered, 1);
+            assert.equal(message.attempts, 3);
+            assert.equal(flaky.received.length, 3);
+        } finally {
+            await flaky.close();
+        }
+    });
+
+    it('marks a delivery failed after maxAttempts', async () => {
+        const down = await startReceiver([500, 500]);
+        try {
+            const app = sampleApp({ webhooks: [{ url: down.url }], webhookDelivery: { retryDelayMs: 0, maxAttempts: 2 } });
+            signIn(app, 'alice@example.com').createMealPlan('Week');
+
+            await app.deliverWebhooks();
+            assert.deepEqual(await app.deliverWebhooks(), { attempted: 1, delivered: 0, retrying: 0, failed: 1 });
+            assert.equal(app.repository.getOutboxMessages()[0].status, 'failed');
+        } finally {
+            await down.close();
+        }
+    });
+
+    it('keeps a webhook waiting behind a delivery that will be retried', async () => {
+        const flaky = await startReceiver([500]);
+        const other = await startReceiver();
+        try {
+            const app = sampleApp({ webhooks: [{ url: flaky.url }, { url: other.url }], webhookDelivery: { retryDelayMs: 1000 } });
+            const alice = signIn(app, 'alice@example.com');
+            alice.createMealPlan('First');
+            alice.createMealPlan('Second');
+
+            // The flaky webhook's second event waits; the other webhook gets both
+            assert.deepEqual(await app.deliverWebhooks(), { attempted: 3, delivered: 2, retrying: 1, failed: 0 });
+            assert.equal(flaky.received.length, 1);
+            assert.equal(other.received.length, 2);
+            assert.equal((await app.deliverWebhooks()).attempted, 0);
+
+            assert.deepEqual(await app.outbox.deliverDue(new Date(Date.now() + 1000)), { attempted: 2, delivered: 2, retrying: 0, failed: 0 });
+            assert.deepEqual(flaky.received.map(request => JSON.parse(request.body).data.name), ['First', 'First', 'Second']);
+        } finally {
+            await flaky.close();
+            await other.close();
+        }
+    });
+
+    it('stops holding later deliveries once one fails for good', async () => {
+        const down = await startReceiver([500]);
+        try {
+            const app = sampleApp({ webhooks: [{ url: down.url }], webhookDelivery: { maxAttempts: 1 } });
+            const alice = signIn(app, 'alice@example.com');
+            alice.createMealPlan('First');
+            alice.createMealPlan('Second');
+
+            assert.deepEqual(await app.deliverWebhooks(), { attempted: 2, delivered: 1, retrying: 0, failed: 1 });
+        } finally {
+            await down.close();
+        }
+    });
+
+    it('refuses user webhooks to private addresses', async () => {
+        const alice = signIn(sampleApp(), 'alice@example.com');
+        ['http://127.0.0.1/hook', 'http://localhost:8080/', 'http://10.1.2.3/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest']
+            .forEach(url => assert.throws(() => alice.addWebhook(url), ValidationError, url));
+        assert.ok(alice.addWebhook('https://hooks.example.com/cooking'));
+    });
+
+    it('delivers user webhooks only to allowed private hosts', async () => {
+        receiver.received.length = 0;
+        const app = sampleApp({ webhookDelivery: { allowedHosts: ['127.0.0.1'] } });
+        const alice = signIn(app, 'alice@example.com');
+        alice.addWebhook(receiver.url, ['MealPlanCreated']);
+        alice.createMealPlan('Week');
+
+        assert.equal((await app.deliverWebhooks()).delivered, 1);
+        assert.equal(receiver.received.length, 1);
+    });
+
+    it('checks a stored user webhook again when sending', async () => {
+        receiver.received.length = 0;
+        const app = sampleApp({ webhookDelivery: { allowedHosts: ['127.0.0.1'], maxAttempts: 1 } });
+        const alice = signIn(app, 'alice@example.com');
+        alice.addWebhook(receiver.url, ['MealPlanCreated']);
+        app.outbox.options.allowedHosts = [];
+        alice.createMealPlan('Week');
+
+        assert.equal((await app.deliverWebhooks()).failed, 1);
+        assert.match(app.repository.getOutboxMessages()[0].lastError, /not a public address/);
+        assert.equal(receiver.received.length, 0);
+    });
+
+    it('classifies addresses', () => {
+        ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1']
+            .forEach(address => assert.equal(WebhookOutbox.isPrivateAddress(address), true, address));
+        ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808']
+            .forEach(address => assert.equal(WebhookOutbox.isPrivateAddress(address), false, address));
+    });
+});
+
+describe('Error sink', () => {
+    it('reports a throwing subscriber to onError and still runs the others', () => {
+        const errors = [];
+        const app = sampleApp({ onError: (error, context) => errors.push(`${context}: ${error.message}`) });
+        const seen = [];
+        app.subscribe('MealPlanCreated', () => {
+            throw new Error('boom');
+        });
+        app.subscribe('MealPlanCreated', event => seen.push(event.data.name));
+
+        signIn(app, 'alice@example.com').createMealPlan('Week');
+        assert.deepEqual(errors, ['Subscriber to MealPlanCreated: boom']);
+        assert.deepEqual(seen, ['Week']);
+    });
+
+    it('reports a failed background delivery pass to onError', async t => {
+        const errors = [];
+        const app = sampleApp({ onError: (error, context) => errors.push(context) });
+        app.outbox.deliverDue = () => Promise.reject(new Error('disk full'));
+        t.mock.timers.enable({ apis: ['setInterval'] });
+        const stop = app.startWebhookDelivery(1000);
+        t.mock.timers.tick(1000);
+        stop();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(errors, ['Webhook delivery']);
+    });
+});